@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. { _id: 'order-20261018', seq: 42 }
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically increment and return the next value of a sequence, creating it on first use
+counterSchema.statics.next = async function(name) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      // Two first-time upserts of the same sequence can race; the loser simply retries
+      if (error.code !== 11000 || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+export default mongoose.model('Counter', counterSchema);
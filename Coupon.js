@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon code must be 3-20 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // flat: ₹value off, percent: value% off (up to maxDiscount),
+  // bogo: every second item in bogoCategory free, free-delivery: delivery fee waived
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['flat', 'percent', 'bogo', 'free-delivery']
+  },
+  value: {
+    type: Number,
+    required: [function() { return ['flat', 'percent'].includes(this.type); }, 'Value is required for flat and percent coupons'],
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        if (this.type === 'flat') return value > 0;
+        if (this.type === 'percent') return value > 0 && value <= 100;
+        return true;
+      },
+      message: 'Flat coupons need a positive amount and percent coupons a percentage between 1 and 100'
+    }
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  bogoCategory: {
+    type: String,
+    enum: ['coffee', 'tea', 'snacks', 'desserts', 'gujarati-specials', 'beverages'],
+    required: [function() { return this.type === 'bogo'; }, 'BOGO coupons need a category']
+  },
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    default: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // null means unlimited
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: [1, 'Per-customer limit must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+couponSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// How many times one customer (by email) has used a coupon
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  orderNumbers: [String],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ coupon: 1, email: 1 }, { unique: true });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
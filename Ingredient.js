@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Stock of a shared ingredient, counted in portions. A menu item uses one portion of every
+// tracked ingredient named in its `ingredients` list for each unit ordered.
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'portion'
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Stock is required'],
+    min: [0, 'Stock cannot be negative']
+  },
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative'],
+    default: 5
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ingredientSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('Ingredient', ingredientSchema);
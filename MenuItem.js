@@ -1,6 +1,97 @@
 import mongoose from 'mongoose';
+import { validateSchedule } from '../utils/scheduleService.js';
+import { slugify } from '../utils/menuTransfer.js';
+
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [50, 'Option name cannot exceed 50 characters']
+  },
+  // Added to the item price, e.g. +20 for oat milk or -10 for a small size
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  // Picked automatically when a required group is left empty
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A group of choices on a menu item. Variants (size) default to "pick exactly one",
+// modifiers (milk, extra toppings) to "pick any".
+const createOptionGroupSchema = ({ minSelect, maxSelect }) => {
+  const schema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [50, 'Group name cannot exceed 50 characters']
+    },
+    minSelect: {
+      type: Number,
+      min: [0, 'Minimum selections cannot be negative'],
+      default: minSelect
+    },
+    maxSelect: {
+      type: Number,
+      min: [1, 'Maximum selections must be at least 1'],
+      default: maxSelect
+    },
+    options: {
+      type: [optionSchema],
+      validate: {
+        validator: (options) => options.length > 0,
+        message: 'An option group needs at least one option'
+      }
+    }
+  });
+
+  schema.pre('validate', function(next) {
+    const max = this.maxSelect ?? this.options.length;
+    if (this.minSelect > max) {
+      this.invalidate('minSelect', `"${this.name}": minimum selections cannot exceed maximum selections`);
+    }
+    if (this.minSelect > this.options.length) {
+      this.invalidate('minSelect', `"${this.name}": minimum selections cannot exceed the number of options`);
+    }
+    next();
+  });
+
+  return schema;
+};
+
+// When an item is served, in café time; see scheduleService.js for how windows are matched
+const scheduleWindowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  days: [Number],
+  startTime: String,
+  endTime: String,
+  startDate: String,
+  endDate: String
+}, { _id: false });
 
 const menuItemSchema = new mongoose.Schema({
+  // Stable identifier used by bulk import to update the same item; defaults to a slug of the name
+  sku: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]{0,59}$/, 'SKU may only contain letters, digits and dashes (up to 60)']
+  },
   name: {
     type: String,
     required: [true, 'Item name is required'],
@@ -27,12 +118,41 @@ const menuItemSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Image URL is required']
   },
+  // Set by POST /api/menu/:id/image; `image` then points at the card-size file
+  uploadedImage: {
+    storage: String,
+    thumbnail: {
+      key: String,
+      url: String,
+      width: Number,
+      height: Number
+    },
+    card: {
+      key: String,
+      url: String,
+      width: Number,
+      height: Number
+    },
+    uploadedAt: Date
+  },
+  // Average of approved reviews once there are any (see applyReviewRating)
   rating: {
     type: Number,
     min: [0, 'Rating cannot be less than 0'],
     max: [5, 'Rating cannot exceed 5'],
     default: 0
   },
+  ratingCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Sum of approved review stars, so the average can be updated without re-reading every review
+  ratingTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   isVeg: {
     type: Boolean,
     default: true
@@ -45,6 +165,36 @@ const menuItemSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Units left; null means stock is not tracked for this item (see inventoryService.js)
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: null
+  },
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative'],
+    default: 5
+  },
+  // Set when the item was switched off because it ran out, so restocking switches it back on
+  outOfStock: {
+    type: Boolean,
+    default: false
+  },
+  variantGroups: [createOptionGroupSchema({ minSelect: 1, maxSelect: 1 })],
+  // maxSelect unset means "any number of options"
+  modifierGroups: [createOptionGroupSchema({ minSelect: 0, maxSelect: undefined })],
+  // e.g. weekends only, or before noon; empty means whenever the café is open
+  schedule: [scheduleWindowSchema],
+  // Archived items are off the menu but kept, so past orders still point at them
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String
+  },
   ingredients: [{
     type: String,
     trim: true
@@ -69,12 +219,56 @@ const menuItemSchema = new mongoose.Schema({
   }
 });
 
+// A slug of the name, with -2, -3... when another item (archived ones included) already has it
+menuItemSchema.methods.generateSku = async function() {
+  const base = slugify(this.name).slice(0, 55) || 'item';
+  for (let n = 1; ; n++) {
+    const sku = n === 1 ? base : `${base}-${n}`;
+    if (!(await this.constructor.exists({ sku, _id: { $ne: this._id } }))) {
+      return sku;
+    }
+  }
+};
+
+menuItemSchema.pre('validate', async function(next) {
+  if (!this.sku && this.name) {
+    this.sku = await this.generateSku();
+  }
+  for (const message of validateSchedule(this.schedule.map(window => window.toObject()))) {
+    this.invalidate('schedule', message);
+  }
+  next();
+});
+
 // Update the updatedAt field before saving
 menuItemSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Add (direction 1) or take back (direction -1) one approved review's stars, atomically
+menuItemSchema.statics.applyReviewRating = function(menuItemId, stars, direction) {
+  return this.updateOne({ _id: menuItemId }, [
+    {
+      $set: {
+        ratingCount: { $add: [{ $ifNull: ['$ratingCount', 0] }, direction] },
+        ratingTotal: { $add: [{ $ifNull: ['$ratingTotal', 0] }, direction * stars] }
+      }
+    },
+    {
+      $set: {
+        rating: {
+          $cond: [
+            { $gt: ['$ratingCount', 0] },
+            { $round: [{ $divide: ['$ratingTotal', '$ratingCount'] }, 1] },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+};
+
 // Create some default menu items if collection is empty
 menuItemSchema.statics.createDefaults = async function() {
   const count = await this.countDocuments();
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Fields whose history is kept, e.g. to answer "what did a cappuccino cost last March"
+export const REVISION_FIELDS = ['name', 'description', 'price', 'category'];
+
+// Snapshot of a menu item's tracked fields, in effect from `effectiveFrom` until the next version
+const menuItemRevisionSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  description: String,
+  price: Number,
+  category: String,
+  // Fields that differ from the previous version (empty for the first one)
+  changedFields: [String],
+  changedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String,
+    role: String
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+menuItemRevisionSchema.index({ menuItem: 1, version: 1 }, { unique: true });
+menuItemRevisionSchema.index({ menuItem: 1, effectiveFrom: -1 });
+
+// Store the current state of a menu item as its next version
+menuItemRevisionSchema.statics.record = async function(menuItem, { changedFields = [], changedBy, effectiveFrom } = {}) {
+  const latest = await this.findOne({ menuItem: menuItem._id }).sort({ version: -1 }).select('version');
+
+  return this.create({
+    menuItem: menuItem._id,
+    version: (latest?.version || 0) + 1,
+    ...Object.fromEntries(REVISION_FIELDS.map(field => [field, menuItem[field]])),
+    changedFields,
+    changedBy,
+    effectiveFrom
+  });
+};
+
+export default mongoose.model('MenuItemRevision', menuItemRevisionSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Outbound message in the notification outbox, delivered by the worker in notificationService.js
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email'],
+    default: 'email'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['order-confirmation', 'order-status', 'reservation', 'contact-alert', 'low-stock']
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  replyTo: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // The document this message is about, e.g. { model: 'Order', id, label: 'CA123456001' }
+  reference: {
+    model: String,
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ 'reference.model': 1, 'reference.id': 1 });
+
+// Update the updatedAt field before saving
+notificationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,35 @@
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import { cafeDateString } from '../utils/cafeTime.js';
+import { releaseStock } from '../utils/inventoryService.js';
+import { releaseOrderCoupon } from '../utils/couponService.js';
+
+// Allowed moves for each order status; cancellation is only possible before dispatch
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['out-for-delivery', 'cancelled'],
+  'out-for-delivery': ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Payment lifecycle for online (UPI / card) orders; a provider can skip straight to captured
+export const PAYMENT_STATUS_TRANSITIONS = {
+  awaiting: ['authorized', 'captured', 'failed'],
+  authorized: ['captured', 'failed'],
+  captured: ['refunded'],
+  failed: [],
+  refunded: []
+};
+
+export class StatusTransitionError extends Error {
+  constructor(message, currentStatus) {
+    super(message);
+    this.name = 'StatusTransitionError';
+    this.currentStatus = currentStatus;
+  }
+}
 
 const orderItemSchema = new mongoose.Schema({
   menuItem: {
@@ -19,7 +50,133 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
-  image: String
+  // Menu price before options; `price` is the unit price including them
+  basePrice: Number,
+  options: [{
+    group: String,
+    kind: {
+      type: String,
+      enum: ['variant', 'modifier']
+    },
+    option: mongoose.Schema.Types.ObjectId,
+    name: String,
+    priceDelta: Number,
+    _id: false
+  }],
+  image: String,
+  category: String,
+  // Line breakdown from the pricing engine at the time of ordering
+  lineTotal: Number,
+  discount: Number,
+  gstRate: Number,
+  taxAmount: Number,
+  packagingFee: Number,
+  grossTotal: Number
+});
+
+const taxLineSchema = new mongoose.Schema({
+  rate: Number,
+  taxableAmount: Number,
+  cgst: Number,
+  sgst: Number,
+  amount: Number
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    kind: {
+      type: String,
+      enum: ['system', 'staff', 'customer'],
+      default: 'system'
+    },
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String,
+    role: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: String,
+  status: {
+    type: String,
+    enum: Object.keys(PAYMENT_STATUS_TRANSITIONS),
+    default: 'awaiting'
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  failureReason: String,
+  authorizedAt: Date,
+  capturedAt: Date,
+  failedAt: Date,
+  refundedAt: Date
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be positive']
+  },
+  // Empty for a full / amount-only refund
+  items: [{
+    orderItem: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    amount: Number,
+    _id: false
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: 500
+  },
+  // Online payments go back through the provider, cash orders are paid back in cash
+  method: {
+    type: String,
+    enum: ['original-payment', 'cash'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  providerRefundId: String,
+  failureReason: String,
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String,
+    role: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
 });
 
 const orderSchema = new mongoose.Schema({
@@ -85,6 +242,37 @@ const orderSchema = new mongoose.Schema({
     min: 0,
     default: 30
   },
+  packagingFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Item discounts from the coupon; a waived delivery fee shows up as deliveryFee 0 instead
+  discountTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  coupon: {
+    code: String,
+    type: {
+      type: String
+    },
+    // Everything the coupon saved, including a waived delivery fee
+    discount: Number,
+    // Set when a cancellation gave the use back, so it is only given back once
+    releasedAt: Date
+  },
+  taxes: [taxLineSchema],
+  taxTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
   total: {
     type: Number,
     required: true,
@@ -92,15 +280,36 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cod'],
+    enum: ['cod', 'upi', 'card'],
     default: 'cod',
     required: true
   },
+  // Only set for online payments
+  payment: paymentSchema,
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'preparing', 'out-for-delivery', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
+  // Stock this order took (menu items and ingredients), put back if it is cancelled
+  stockUsage: [{
+    kind: {
+      type: String,
+      enum: ['menu-item', 'ingredient']
+    },
+    item: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    _id: false
+  }],
+  refunds: [refundSchema],
+  // Sum of pending and completed refunds; failed refunds are taken back out
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   specialInstructions: {
     type: String,
     trim: true,
@@ -122,18 +331,175 @@ const orderSchema = new mongoose.Schema({
   }
 });
 
-// Generate order number before saving
+orderSchema.index({ 'payment.providerPaymentId': 1 }, { sparse: true });
+
+// Generate order number before saving, e.g. CA-20261018-0042 (sequence restarts every day)
 orderSchema.pre('save', async function(next) {
   if (this.isNew) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `CA${Date.now().toString().slice(-6)}${(count + 1).toString().padStart(3, '0')}`;
+    const dateKey = cafeDateString().replace(/-/g, '');
+    const seq = await Counter.next(`order-${dateKey}`);
+    this.orderNumber = `CA-${dateKey}-${seq.toString().padStart(4, '0')}`;
     
     // Set estimated delivery time (45 minutes from now)
     this.estimatedDeliveryTime = new Date(Date.now() + 45 * 60 * 1000);
+
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ to: this.status });
+    }
   }
   
   this.updatedAt = Date.now();
   next();
 });
 
+// Save a new order, taking a fresh number if the unique index ever rejects the generated one
+orderSchema.methods.saveWithRetry = async function(maxAttempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.orderNumber || attempt >= maxAttempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Cash orders are settled on delivery; online orders only once the provider has taken the money
+orderSchema.methods.isPaymentSettled = function() {
+  return this.paymentMethod === 'cod' || ['authorized', 'captured'].includes(this.payment?.status);
+};
+
+// What the customer has actually paid: captured online payments, or cash once delivered
+orderSchema.methods.paidAmount = function() {
+  if (this.payment) {
+    return ['captured', 'refunded'].includes(this.payment.status) ? this.total : 0;
+  }
+  return this.status === 'delivered' ? this.total : 0;
+};
+
+orderSchema.methods.refundableAmount = function() {
+  return Math.max(0, this.paidAmount() - this.refundedAmount);
+};
+
+// Add a refund to an order. The condition fails, returning null, if another refund was
+// recorded since `order` was read, so two refunds cannot both take the same refundable amount.
+orderSchema.statics.recordRefund = function(order, refund) {
+  return this.findOneAndUpdate(
+    { _id: order._id, refundedAmount: order.refundedAmount },
+    { $push: { refunds: refund }, $inc: { refundedAmount: refund.amount }, updatedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+};
+
+// Move an order to a new status and record who did it and why.
+// The update is conditional on the current status, so two concurrent changes cannot both win.
+// Pass `from` to only allow the change while the order is in one of those statuses.
+orderSchema.statics.transitionStatus = async function(orderNumber, status, { actor = {}, reason, from } = {}) {
+  const order = await this.findOne({ orderNumber });
+  if (!order) {
+    return null;
+  }
+
+  if (from && !from.includes(order.status)) {
+    throw new StatusTransitionError(`Order is already "${order.status}"`, order.status);
+  }
+
+  if (!order.canTransitionTo(status)) {
+    throw new StatusTransitionError(`Cannot change order status from "${order.status}" to "${status}"`, order.status);
+  }
+
+  // Online orders only reach the kitchen once the payment has gone through
+  if (status === 'confirmed' && !order.isPaymentSettled()) {
+    throw new StatusTransitionError('Order cannot be confirmed until payment succeeds', order.status);
+  }
+
+  const now = new Date();
+  const update = {
+    status,
+    updatedAt: now,
+    $push: {
+      statusHistory: { from: order.status, to: status, changedBy: actor, reason, changedAt: now }
+    }
+  };
+  if (status === 'delivered') {
+    update.actualDeliveryTime = now;
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new StatusTransitionError('Order status was changed by someone else. Please refresh and try again.');
+  }
+
+  // Put the stock back; clearing stockUsage first makes sure it is only returned once
+  if (status === 'cancelled' && updated.stockUsage.length > 0) {
+    try {
+      const claimed = await this.findOneAndUpdate(
+        { _id: updated._id, 'stockUsage.0': { $exists: true } },
+        { stockUsage: [] }
+      );
+      if (claimed) {
+        await releaseStock(claimed.stockUsage, { order: updated._id, actor, reason: 'cancellation' });
+        updated.stockUsage = [];
+      }
+    } catch (stockError) {
+      console.error('Restoring stock failed:', stockError);
+    }
+  }
+
+  // Give the coupon use back to the customer; flagging it first makes sure that happens once
+  if (status === 'cancelled' && updated.coupon?.code && !updated.coupon.releasedAt) {
+    try {
+      const claimed = await this.findOneAndUpdate(
+        { _id: updated._id, 'coupon.code': { $exists: true }, 'coupon.releasedAt': null },
+        { 'coupon.releasedAt': now },
+        { new: true }
+      );
+      if (claimed) {
+        await releaseOrderCoupon(claimed);
+        updated.coupon.releasedAt = now;
+      }
+    } catch (couponError) {
+      console.error('Releasing coupon failed:', couponError);
+    }
+  }
+
+  return updated;
+};
+
+// Apply a payment status reported by the provider. Updates that would move the payment
+// backwards (e.g. a late "authorized" after "captured") are ignored and return null.
+orderSchema.statics.applyPaymentStatus = function(providerPaymentId, status, { failureReason } = {}) {
+  const previous = Object.keys(PAYMENT_STATUS_TRANSITIONS)
+    .filter(from => PAYMENT_STATUS_TRANSITIONS[from].includes(status));
+
+  const update = {
+    'payment.status': status,
+    [`payment.${status}At`]: new Date(),
+    updatedAt: new Date()
+  };
+  if (status === 'failed' && failureReason) {
+    update['payment.failureReason'] = failureReason;
+  }
+
+  return this.findOneAndUpdate(
+    { 'payment.providerPaymentId': providerPaymentId, 'payment.status': { $in: previous } },
+    update,
+    { new: true }
+  );
+};
+
+orderSchema.virtual('netTotal').get(function() {
+  return this.total - (this.refundedAmount || 0);
+});
+
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Webhook events already processed, so a redelivered event is applied only once
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  providerPaymentId: String,
+  orderNumber: String,
+  payload: mongoose.Schema.Types.Mixed,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
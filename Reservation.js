@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { cafeClock, minutesToTime } from '../utils/cafeTime.js';
 
 const reservationSchema = new mongoose.Schema({
   name: {
@@ -20,20 +21,24 @@ const reservationSchema = new mongoose.Schema({
     trim: true,
     match: [/^[0-9+\-\s()]{10,15}$/, 'Please enter a valid phone number']
   },
-  date: {
+  // The moment the party is expected, so sorting and range queries work on one field.
+  // Computed from the café-local date and time the guest picked (see reservationService.js).
+  startsAt: {
     type: Date,
-    required: [true, 'Reservation date is required'],
+    required: [true, 'Reservation date and time are required'],
     validate: {
       validator: function(value) {
         return value > new Date();
       },
-      message: 'Reservation date must be in the future'
+      message: 'Reservation time must be in the future'
     }
   },
-  time: {
-    type: String,
-    required: [true, 'Reservation time is required'],
-    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time format (HH:MM)']
+  // How long the table is held, fixed when the reservation is made
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [360, 'Duration cannot exceed 360 minutes']
   },
   guests: {
     type: Number,
@@ -51,11 +56,11 @@ const reservationSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'cancelled', 'completed'],
     default: 'pending'
   },
-  tableNumber: {
+  // Tables held for this reservation (more than one when tables are pushed together)
+  tableNumbers: [{
     type: Number,
-    min: [1, 'Table number must be at least 1'],
-    max: [50, 'Table number cannot exceed 50']
-  },
+    min: [1, 'Table number must be at least 1']
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -66,6 +71,24 @@ const reservationSchema = new mongoose.Schema({
   }
 });
 
+reservationSchema.index({ startsAt: 1 });
+
+// Café-local date (YYYY-MM-DD) and time (HH:MM), as the guest booked them
+reservationSchema.virtual('date').get(function() {
+  return this.startsAt ? cafeClock(this.startsAt).date : undefined;
+});
+
+reservationSchema.virtual('time').get(function() {
+  if (!this.startsAt) return undefined;
+  return minutesToTime(cafeClock(this.startsAt).minutes);
+});
+
+reservationSchema.virtual('endsAt').get(function() {
+  return this.startsAt ? new Date(this.startsAt.getTime() + this.durationMinutes * 60 * 1000) : undefined;
+});
+
+reservationSchema.set('toJSON', { virtuals: true, id: false });
+
 // Update the updatedAt field before saving
 reservationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
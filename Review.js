@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// A customer's rating of an item from one of their delivered orders
+const reviewSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  customer: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true
+    }
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot exceed 1000 characters']
+  },
+  // Only approved reviews are shown and count towards the item's rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per item per order
+reviewSchema.index({ order: 1, menuItem: 1 }, { unique: true });
+reviewSchema.index({ menuItem: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model('Review', reviewSchema);
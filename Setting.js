@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Admin-editable configuration documents, one per key (e.g. 'pricing')
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Stored value for a key, or the given defaults when nothing has been saved yet
+settingSchema.statics.getValue = async function(key, defaults) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaults;
+};
+
+export default mongoose.model('Setting', settingSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Audit log entry for every stock change, whether from an order or an admin adjustment
+const stockMovementSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['menu-item', 'ingredient']
+  },
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  },
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Positive when stock is added, negative when it is used up
+  change: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['order', 'order-change', 'cancellation', 'restock', 'wastage', 'correction']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  actor: {
+    kind: {
+      type: String,
+      enum: ['customer', 'staff', 'system']
+    },
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String,
+    role: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ menuItem: 1, createdAt: -1 });
+stockMovementSchema.index({ ingredient: 1, createdAt: -1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
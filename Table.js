@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A table on the floor plan. Tables listed in combinableWith can be pushed together for larger parties.
+const tableSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: [true, 'Table number is required'],
+    unique: true,
+    min: [1, 'Table number must be at least 1']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [20, 'Capacity cannot exceed 20']
+  },
+  area: {
+    type: String,
+    enum: ['indoor', 'outdoor', 'private'],
+    default: 'indoor'
+  },
+  combinableWith: [{
+    type: Number,
+    min: 1
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tableSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Starting floor plan so reservations work before an admin sets up the real one through /api/tables
+tableSchema.statics.createDefaults = async function() {
+  const count = await this.countDocuments();
+  if (count === 0) {
+    const defaultTables = [
+      { number: 1, capacity: 2, area: 'indoor', combinableWith: [2] },
+      { number: 2, capacity: 2, area: 'indoor', combinableWith: [1, 3] },
+      { number: 3, capacity: 2, area: 'indoor', combinableWith: [2] },
+      { number: 4, capacity: 4, area: 'indoor', combinableWith: [5] },
+      { number: 5, capacity: 4, area: 'indoor', combinableWith: [4, 6] },
+      { number: 6, capacity: 4, area: 'indoor', combinableWith: [5] },
+      { number: 7, capacity: 6, area: 'indoor' },
+      { number: 8, capacity: 4, area: 'outdoor', combinableWith: [9] },
+      { number: 9, capacity: 4, area: 'outdoor', combinableWith: [8] },
+      { number: 10, capacity: 10, area: 'private' }
+    ];
+
+    await this.insertMany(defaultTables);
+    console.log('✅ Default tables created');
+  }
+};
+
+export default mongoose.model('Table', tableSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One table held for one reservation slot. The unique index is what stops two reservations
+// from getting the same table at the same time, even when they are made concurrently.
+const tableBookingSchema = new mongoose.Schema({
+  tableNumber: {
+    type: Number,
+    required: true
+  },
+  // Start of the slot (see reservationService.js for the slot grid)
+  slot: {
+    type: Date,
+    required: true
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  }
+});
+
+tableBookingSchema.index({ tableNumber: 1, slot: 1 }, { unique: true });
+tableBookingSchema.index({ reservation: 1 });
+// Past slots are only clutter
+tableBookingSchema.index({ slot: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('TableBooking', tableBookingSchema);
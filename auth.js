@@ -1,26 +1,85 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../utils/emailService.js';
 
 const router = express.Router();
 
-// Simple in-memory user store for demo (replace with database in production)
-const users = [
-  {
-    id: 1,
-    email: 'admin@cafeahmedabad.com',
-    password: '$2a$10$rOzJqKqKqKqKqKqKqKqKqOzJqKqKqKqKqKqKqKqKqOzJqKqKqKqKqK', // 'admin123'
-    role: 'admin',
-    name: 'Admin User'
+// server.js refuses to start without JWT_SECRET in production, so the fallback is dev-only
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a short-lived access token plus a refresh token that is stored (hashed) server-side
+const issueTokens = async (user, req) => {
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      tokenVersion: user.tokenVersion
+    },
+    jwtSecret(),
+    {
+      expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
+      jwtid: crypto.randomUUID()
+    }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const refreshTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTtlDays * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return { token, refreshToken };
+};
+
+// Generate a random single-use token; only its hash is stored on the user
+const createOneTimeToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+};
+
+// Store a fresh verification token on the user and email it (failures are logged, not thrown)
+const startEmailVerification = async (user) => {
+  const { token, tokenHash, expiresAt } = createOneTimeToken(24 * 60 * 60 * 1000);
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpires = expiresAt;
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
   }
-];
+};
+
+// Invalidate every refresh token and every outstanding access token of a user
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
 
 // POST /api/auth/login - User login
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
+    if (!email || typeof email !== 'string' || !password) {
       return res.status(400).json({
         success: false,
         message: 'Email and password are required'
@@ -28,8 +87,8 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user
-    const user = users.find(u => u.email === email);
-    if (!user) {
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+password');
+    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -37,7 +96,7 @@ router.post('/login', async (req, res) => {
     }
 
     // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
       return res.status(401).json({
         success: false,
@@ -45,27 +104,24 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
+        refreshToken,
         user: {
-          id: user.id,
+          id: user._id,
           email: user.email,
           name: user.name,
-          role: user.role
+          role: user.role,
+          isEmailVerified: user.isEmailVerified
         }
       }
     });
@@ -79,20 +135,365 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() }
+    );
+
+    if (!stored) {
+      // A rotated token was presented again: assume it leaked and end every session
+      const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+      if (reused) {
+        await revokeAllSessions(reused.user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(tokens.refreshToken) });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current access token and its refresh token
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await RevokedToken.updateOne(
+      { jti: req.user.jti },
+      { $setOnInsert: { user: req.user.userId, expiresAt: new Date(req.user.exp * 1000) } },
+      { upsert: true }
+    );
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), user: req.user.userId, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/logout-all - Log out of every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/users/:id/logout-all - Cut off every session of another user (admin only)
+router.post('/users/:id/logout-all', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: `All sessions for ${user.email} have been revoked`
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (user && user.isActive) {
+      const { token, tokenHash, expiresAt } = createOneTimeToken(60 * 60 * 1000);
+      user.passwordResetTokenHash = tokenHash;
+      user.passwordResetExpires = expiresAt;
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be enumerated
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    // Use up the token in the same step that finds it, so two requests cannot both redeem it.
+    // A deactivated account keeps its old password even with a link sent before it was deactivated.
+    const tokenHash = hashToken(token);
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: tokenHash,
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+    ).select('+passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    try {
+      await user.save();
+    } catch (saveError) {
+      // e.g. a password that is too short: let the customer try again with the same link
+      await User.updateOne(
+        { _id: user._id },
+        { passwordResetTokenHash: tokenHash, passwordResetExpires: user.passwordResetExpires }
+      );
+      throw saveError;
+    }
+
+    // A password change ends every existing session
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address with a verification token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        isEmailVerified: true,
+        $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email to the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await startEmailVerification(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
 // POST /api/auth/register - User registration (admin only for now)
-router.post('/register', async (req, res) => {
+router.post('/register', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const { email, password, name, role = 'user' } = req.body;
 
-    if (!email || !password || !name) {
+    if (!email || typeof email !== 'string' || !password || !name) {
       return res.status(400).json({
         success: false,
         message: 'Email, password, and name are required'
       });
     }
 
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role value'
+      });
+    }
+
     // Check if user already exists
-    const existingUser = users.find(u => u.email === email);
+    const existingUser = await User.findOne({ email: email.trim().toLowerCase() });
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -100,25 +501,21 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Create new user
-    const newUser = {
-      id: users.length + 1,
+    // Create new user (password is hashed by the model)
+    const newUser = await User.create({
       email,
-      password: hashedPassword,
+      password,
       name,
       role
-    };
+    });
 
-    users.push(newUser);
+    await startEmailVerification(newUser);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        id: newUser.id,
+        id: newUser._id,
         email: newUser.email,
         name: newUser.name,
         role: newUser.role
@@ -127,6 +524,23 @@ router.post('/register', async (req, res) => {
 
   } catch (error) {
     console.error('Registration error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error. Please try again later.'
@@ -134,8 +548,45 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Signed token that lets a guest customer manage one order without an account
+export function signOrderAccessToken(orderNumber) {
+  return jwt.sign({ orderNumber, scope: 'order-access' }, jwtSecret(), { expiresIn: '7d' });
+}
+
+export function verifyOrderAccessToken(token, orderNumber) {
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    return payload.scope === 'order-access' && payload.orderNumber === orderNumber;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Digits only, last 10, so "+91 98765 43210" matches "9876543210"
+const normalizePhone = (phone) => String(phone).replace(/\D/g, '').slice(-10);
+
+// A customer proves they own an order with its access token, or the email or phone it was placed with
+// (sent in the query string on GET requests, which have no body)
+export function ownsOrder(req, order) {
+  const credentials = (req.method === 'GET' ? req.query : req.body) || {};
+  const accessToken = req.get('x-order-access-token') || credentials.accessToken;
+  if (accessToken) {
+    return verifyOrderAccessToken(accessToken, order.orderNumber);
+  }
+
+  const { email, phone } = credentials;
+  if (typeof email === 'string' && email.trim()) {
+    return email.trim().toLowerCase() === order.customer.email;
+  }
+  if (typeof phone === 'string' && normalizePhone(phone).length === 10) {
+    return normalizePhone(phone) === normalizePhone(order.customer.phone);
+  }
+
+  return false;
+}
+
 // Middleware to verify JWT token
-export const authenticateToken = (req, res, next) => {
+export function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -146,16 +597,51 @@ export const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
+  jwt.verify(token, jwtSecret(), async (err, payload) => {
+    if (err || !payload.jti) {
       return res.status(403).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
-    req.user = user;
-    next();
+
+    try {
+      // Reject tokens that were logged out, or issued before a "log out all sessions"
+      const [revoked, user] = await Promise.all([
+        RevokedToken.exists({ jti: payload.jti }),
+        User.findById(payload.userId).select('tokenVersion isActive')
+      ]);
+
+      if (revoked || !user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      req.user = payload;
+      next();
+    } catch (error) {
+      console.error('Token verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error. Please try again later.'
+      });
+    }
   });
-};
+}
+
+// Middleware to restrict a route to the given roles (use after authenticateToken)
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
 
 export default router;
\ No newline at end of file
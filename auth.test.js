@@ -0,0 +1,300 @@
+// Password reset and email verification, end to end through the auth router with emails
+// delivered to the in-process capture transport. Users live in an in-memory store instead
+// of MongoDB, so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import authRoutes from '../routes/auth.js';
+import { capturedEmails } from '../utils/emailService.js';
+
+process.env.EMAIL_TRANSPORT = 'capture';
+
+// --- In-memory users: just enough of the model API for the routes under test ---
+
+const users = new Map();
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && typeof condition === 'object' && '$gt' in condition) {
+    return doc[field] !== undefined && doc[field] > condition.$gt;
+  }
+  return doc[field] !== undefined && String(doc[field]) === String(condition);
+});
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$unset') {
+      Object.keys(value).forEach(field => delete doc[field]);
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+    } else if (key === '$set') {
+      Object.assign(doc, value);
+    } else {
+      doc[key] = value;
+    }
+  }
+};
+
+// Resolves like a mongoose query and accepts the .select() calls the routes chain on
+const query = (doc) => ({
+  select() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(doc && User.hydrate({ ...doc })).then(resolve, reject);
+  }
+});
+
+const findUser = (filter) => [...users.values()].find(doc => matches(doc, filter));
+
+const storeUser = (fields) => {
+  const doc = { _id: new mongoose.Types.ObjectId(), isActive: true, tokenVersion: 0, role: 'user', ...fields };
+  users.set(String(doc._id), doc);
+  return doc;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The token in the last captured email's link to `path`
+const tokenFromEmail = (to, path) => {
+  const email = capturedEmails.filter(message => message.to === to).at(-1);
+  assert.ok(email, `no email was sent to ${to}`);
+  const match = email.text.match(new RegExp(`${path}\\?token=([0-9a-f]+)`));
+  assert.ok(match, `email to ${to} has no ${path} link`);
+  return match[1];
+};
+
+let server;
+let baseUrl;
+
+const post = async (path, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}/api/auth${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  mock.method(User, 'findOne', (filter) => query(findUser(filter)));
+  mock.method(User, 'findById', (id) => query(users.get(String(id))));
+  mock.method(User, 'findOneAndUpdate', (filter, update, options = {}) => {
+    const doc = findUser(filter);
+    const before = doc && { ...doc };
+    if (doc) applyUpdate(doc, update);
+    return query(options.new ? doc : before);
+  });
+  mock.method(User, 'updateOne', async (filter, update) => {
+    const doc = findUser(filter);
+    if (doc) applyUpdate(doc, update);
+  });
+  mock.method(User, 'create', async (fields) => {
+    const user = new User(fields);
+    await user.save();
+    return user;
+  });
+  // Validation still runs and, like MongoDB, only changed fields are written. The password is
+  // stored as given (hashing is not under test here).
+  mock.method(User.prototype, 'save', async function() {
+    await this.validate();
+    const doc = this.toObject();
+    const paths = this.isNew ? Object.keys(doc) : this.modifiedPaths();
+    const stored = users.get(String(this._id)) || {};
+    paths.forEach(path => {
+      if (doc[path] === undefined) delete stored[path];
+      else stored[path] = doc[path];
+    });
+    users.set(String(this._id), stored);
+    this.isNew = false;
+    return this;
+  });
+  mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(RevokedToken, 'exists', async () => null);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  users.clear();
+  capturedEmails.length = 0;
+});
+
+describe('an email that is not text', () => {
+  test('is a 400 at login', async () => {
+    const { status, body } = await post('/login', { email: ['asha@example.com'], password: 'old-password' });
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Email and password are required');
+  });
+
+  test('is a 400 at registration', async () => {
+    const admin = storeUser({ name: 'Admin', email: 'admin@example.com', password: 'admin-password', role: 'admin' });
+    const adminToken = jwt.sign(
+      { userId: admin._id, email: admin.email, role: 'admin', tokenVersion: 0 },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { jwtid: crypto.randomUUID() }
+    );
+
+    const { status } = await post(
+      '/register',
+      { name: 'Ravi', email: { $gt: '' }, password: 'ravi-password' },
+      { Authorization: `Bearer ${adminToken}` }
+    );
+    assert.equal(status, 400);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  test('emails a reset link and stores only the token hash', async () => {
+    const user = storeUser({ name: 'Asha', email: 'asha@example.com', password: 'old-password' });
+
+    const { status } = await post('/forgot-password', { email: 'Asha@Example.com ' });
+    assert.equal(status, 200);
+
+    assert.equal(capturedEmails.length, 1);
+    assert.equal(capturedEmails[0].to, 'asha@example.com');
+    const token = tokenFromEmail('asha@example.com', '/reset-password');
+    assert.equal(users.get(String(user._id)).passwordResetTokenHash, hashToken(token));
+  });
+
+  test('gives the same answer for an unknown email and sends nothing', async () => {
+    const known = storeUser({ name: 'Asha', email: 'asha@example.com', password: 'old-password' });
+    await post('/forgot-password', { email: known.email });
+
+    const unknown = await post('/forgot-password', { email: 'nobody@example.com' });
+    assert.equal(unknown.status, 200);
+    assert.equal(capturedEmails.length, 1);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  const requestReset = async () => {
+    const user = storeUser({ name: 'Asha', email: 'asha@example.com', password: 'old-password' });
+    await post('/forgot-password', { email: user.email });
+    return { user, token: tokenFromEmail(user.email, '/reset-password') };
+  };
+
+  test('sets the new password, clears the token and ends every session', async () => {
+    const { user, token } = await requestReset();
+
+    const { status } = await post('/reset-password', { token, password: 'new-password' });
+    assert.equal(status, 200);
+
+    const stored = users.get(String(user._id));
+    assert.equal(stored.password, 'new-password');
+    assert.equal(stored.passwordResetTokenHash, undefined);
+    assert.equal(stored.tokenVersion, 1);
+  });
+
+  test('a token works only once', async () => {
+    const { token } = await requestReset();
+
+    assert.equal((await post('/reset-password', { token, password: 'new-password' })).status, 200);
+    const second = await post('/reset-password', { token, password: 'another-password' });
+    assert.equal(second.status, 400);
+    assert.equal(second.body.message, 'Invalid or expired reset token');
+  });
+
+  test('two requests at once cannot both use the same token', async () => {
+    const { user, token } = await requestReset();
+
+    const results = await Promise.all([
+      post('/reset-password', { token, password: 'first-password' }),
+      post('/reset-password', { token, password: 'second-password' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 400]);
+    const winner = results.findIndex(result => result.status === 200);
+    assert.equal(users.get(String(user._id)).password, winner === 0 ? 'first-password' : 'second-password');
+  });
+
+  test('an expired token is refused', async () => {
+    const { user, token } = await requestReset();
+    users.get(String(user._id)).passwordResetExpires = new Date(Date.now() - 1000);
+
+    const { status } = await post('/reset-password', { token, password: 'new-password' });
+    assert.equal(status, 400);
+    assert.equal(users.get(String(user._id)).password, 'old-password');
+  });
+
+  test('a deactivated account cannot be given a new password', async () => {
+    const { user, token } = await requestReset();
+    users.get(String(user._id)).isActive = false;
+
+    const { status } = await post('/reset-password', { token, password: 'new-password' });
+    assert.equal(status, 400);
+    assert.equal(users.get(String(user._id)).password, 'old-password');
+  });
+
+  test('a password that fails validation keeps the token usable', async () => {
+    const { user, token } = await requestReset();
+
+    const tooShort = await post('/reset-password', { token, password: 'short' });
+    assert.equal(tooShort.status, 400);
+    assert.deepEqual(tooShort.body.errors, ['Password must be at least 8 characters']);
+
+    assert.equal((await post('/reset-password', { token, password: 'long-enough' })).status, 200);
+    assert.equal(users.get(String(user._id)).password, 'long-enough');
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  // New accounts are created by an admin, which sends the verification email
+  const registerUser = async () => {
+    const admin = storeUser({ name: 'Admin', email: 'admin@example.com', password: 'admin-password', role: 'admin' });
+    const adminToken = jwt.sign(
+      { userId: admin._id, email: admin.email, role: 'admin', tokenVersion: 0 },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { jwtid: crypto.randomUUID() }
+    );
+
+    const { status, body } = await post(
+      '/register',
+      { name: 'Ravi', email: 'ravi@example.com', password: 'ravi-password' },
+      { Authorization: `Bearer ${adminToken}` }
+    );
+    assert.equal(status, 201);
+    return { userId: String(body.data.id), token: tokenFromEmail('ravi@example.com', '/verify-email') };
+  };
+
+  test('verifies the address with the emailed token', async () => {
+    const { userId, token } = await registerUser();
+    assert.equal(users.get(userId).isEmailVerified, false);
+
+    const { status } = await post('/verify-email', { token });
+    assert.equal(status, 200);
+    assert.equal(users.get(userId).isEmailVerified, true);
+    assert.equal(users.get(userId).emailVerificationTokenHash, undefined);
+  });
+
+  test('a token works only once', async () => {
+    const { token } = await registerUser();
+
+    assert.equal((await post('/verify-email', { token })).status, 200);
+    assert.equal((await post('/verify-email', { token })).status, 400);
+  });
+
+  test('an expired token is refused', async () => {
+    const { userId, token } = await registerUser();
+    users.get(userId).emailVerificationExpires = new Date(Date.now() - 1000);
+
+    const { status, body } = await post('/verify-email', { token });
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Invalid or expired verification token');
+    assert.equal(users.get(userId).isEmailVerified, false);
+  });
+});
@@ -0,0 +1,58 @@
+// Date helpers for the café's local time. The server may run in UTC, but opening hours,
+// order numbers and daily reports all follow the calendar in Ahmedabad.
+
+export const CAFE_TIMEZONE = 'Asia/Kolkata';
+
+// IST has no daylight saving, so the offset is fixed
+const CAFE_UTC_OFFSET = '+05:30';
+const CAFE_UTC_OFFSET_MINUTES = 330;
+
+// Calendar date in the café's timezone as YYYY-MM-DD
+export const cafeDateString = (date = new Date()) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: CAFE_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// A real calendar date as YYYY-MM-DD; Date.parse alone rolls 2026-02-31 over into March
+export const isValidDateString = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+  && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+// [start, end) instants of a café day given as YYYY-MM-DD
+export const cafeDayRange = (dateString) => {
+  const start = new Date(`${dateString}T00:00:00${CAFE_UTC_OFFSET}`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start, end };
+};
+
+// Café wall clock for an instant: { date: 'YYYY-MM-DD', weekday: 0 (Sunday) - 6, minutes since midnight }
+export const cafeClock = (date = new Date()) => {
+  const local = new Date(date.getTime() + CAFE_UTC_OFFSET_MINUTES * 60 * 1000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    weekday: local.getUTCDay(),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+};
+
+export const isValidTimeString = (value) =>
+  typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// "HH:MM" as minutes since midnight
+export const timeToMinutes = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight as "HH:MM"
+export const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// The instant of a café date (YYYY-MM-DD) and time (HH:MM)
+export const cafeDateTime = (dateString, time = '00:00') => new Date(`${dateString}T${time}:00${CAFE_UTC_OFFSET}`);
+
+// YYYY-MM-DD a number of days after another one
+export const addDays = (dateString, days) =>
+  new Date(Date.parse(`${dateString}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
@@ -0,0 +1,42 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cafeDateTime, isValidDateString } from '../utils/cafeTime.js';
+import { reservationStart } from '../utils/reservationService.js';
+
+describe('isValidDateString', () => {
+  test('accepts real calendar dates', () => {
+    assert.equal(isValidDateString('2026-02-28'), true);
+    assert.equal(isValidDateString('2028-02-29'), true);
+  });
+
+  test('rejects dates that do not exist instead of rolling them over', () => {
+    assert.equal(isValidDateString('2026-02-29'), false);
+    assert.equal(isValidDateString('2026-02-31'), false);
+    assert.equal(isValidDateString('2026-04-31'), false);
+    assert.equal(isValidDateString('2026-13-01'), false);
+  });
+
+  test('rejects anything but YYYY-MM-DD', () => {
+    assert.equal(isValidDateString('2026-2-3'), false);
+    assert.equal(isValidDateString('2026-02-03T10:00:00Z'), false);
+    assert.equal(isValidDateString(20260203), false);
+  });
+});
+
+describe('reservationStart', () => {
+  test('reads the date and time as café time', () => {
+    assert.deepEqual(reservationStart('2026-10-20', '9:30'), cafeDateTime('2026-10-20', '09:30'));
+    assert.equal(reservationStart('2026-10-20', '19:00').toISOString(), '2026-10-20T13:30:00.000Z');
+  });
+
+  test('uses the café date of a full timestamp', () => {
+    // 20:00 UTC on the 19th is already the 20th in Ahmedabad
+    assert.equal(reservationStart('2026-10-19T20:00:00Z', '19:00').toISOString(), '2026-10-20T13:30:00.000Z');
+  });
+
+  test('refuses impossible dates and times', () => {
+    assert.equal(reservationStart('2026-02-31', '19:00'), null);
+    assert.equal(reservationStart('2026-02-31T10:00:00Z', '19:00'), null);
+    assert.equal(reservationStart('2026-10-20', '25:00'), null);
+  });
+});
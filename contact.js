@@ -1,12 +1,15 @@
 import express from 'express';
 import Contact from '../models/Contact.js';
+import { notifyContact } from '../utils/notificationService.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { authenticateToken, requireRole } from './auth.js';
 
 
 
 const router = express.Router();
 
 // POST /api/contact - Submit contact form
-router.post('/', async (req, res) => {
+router.post('/', idempotency(), async (req, res) => {
   try {
     const { name, email, phone, message } = req.body;
 
@@ -28,12 +31,11 @@ router.post('/', async (req, res) => {
 
     const savedContact = await newContact.save();
 
-    // Send email notification (optional)
+    // Queue staff alert (don't fail the request if queueing fails)
     try {
-      await sendContactEmail(savedContact);
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the request if email fails
+      await notifyContact(savedContact);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
     }
 
     res.status(201).json({
@@ -67,7 +69,7 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/contact - Get all contact messages (admin only)
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
     
@@ -103,7 +105,7 @@ router.get('/', async (req, res) => {
 });
 
 // PUT /api/contact/:id/status - Update contact status (admin only)
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -0,0 +1,170 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+
+export class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Split an amount across lines in proportion to their totals; the last line takes the rounding remainder
+const allocate = (amount, lineTotals) => {
+  const base = lineTotals.reduce((sum, total) => sum + total, 0);
+  let remaining = round(amount);
+
+  return lineTotals.map((total, i) => {
+    if (i === lineTotals.length - 1) return remaining;
+    const share = base > 0 ? round(amount * total / base) : 0;
+    remaining = round(remaining - share);
+    return share;
+  });
+};
+
+/**
+ * Work out what a coupon takes off a cart of { category, price, quantity } lines.
+ * Returns { lineDiscounts, freeDelivery } for calculatePricing.
+ */
+export const computeCouponDiscount = (coupon, items, subtotal) => {
+  const lineTotals = items.map(item => item.price * item.quantity);
+
+  switch (coupon.type) {
+    case 'flat':
+      return { lineDiscounts: allocate(Math.min(coupon.value, subtotal), lineTotals), freeDelivery: false };
+
+    case 'percent': {
+      let amount = subtotal * coupon.value / 100;
+      if (coupon.maxDiscount) {
+        amount = Math.min(amount, coupon.maxDiscount);
+      }
+      return { lineDiscounts: allocate(amount, lineTotals), freeDelivery: false };
+    }
+
+    case 'bogo': {
+      // Line up every unit in the category from most to least expensive; every second one is free
+      const units = items.flatMap((item, i) => item.category === coupon.bogoCategory
+        ? Array.from({ length: item.quantity }, () => ({ line: i, price: item.price }))
+        : []);
+      units.sort((a, b) => b.price - a.price);
+
+      const lineDiscounts = items.map(() => 0);
+      units.forEach((unit, index) => {
+        if (index % 2 === 1) {
+          lineDiscounts[unit.line] += unit.price;
+        }
+      });
+      return { lineDiscounts, freeDelivery: false };
+    }
+
+    case 'free-delivery':
+      return { lineDiscounts: [], freeDelivery: true };
+
+    default:
+      throw new CouponError('Unsupported coupon type');
+  }
+};
+
+/**
+ * Look up a coupon and check it can be used for this cart and customer. This does not claim a use;
+ * reserveCoupon does that atomically when the order is placed. Pass alreadyHeld: true to re-price an
+ * order placed with the coupon: only the minimum subtotal is checked then, since the coupon may have
+ * expired, been deactivated or used up since checkout.
+ */
+export const findApplicableCoupon = async (code, { subtotal, email, alreadyHeld = false }) => {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new CouponError('Invalid coupon code');
+  }
+
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (!coupon || (!alreadyHeld && !coupon.isActive)) {
+    throw new CouponError('Invalid coupon code');
+  }
+
+  const now = new Date();
+  if (!alreadyHeld && ((coupon.startsAt && coupon.startsAt > now) || (coupon.endsAt && coupon.endsAt < now))) {
+    throw new CouponError('This coupon is not valid right now');
+  }
+
+  if (subtotal < coupon.minSubtotal) {
+    throw new CouponError(`Add items worth ₹${coupon.minSubtotal - subtotal} more to use this coupon`);
+  }
+
+  if (!alreadyHeld) {
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+      throw new CouponError('This coupon has been fully redeemed');
+    }
+
+    if (coupon.perCustomerLimit !== null && email) {
+      const redemption = await CouponRedemption.findOne({ coupon: coupon._id, email: email.toLowerCase() });
+      if (redemption && redemption.count >= coupon.perCustomerLimit) {
+        throw new CouponError('You have already used this coupon');
+      }
+    }
+  }
+
+  return coupon;
+};
+
+// Atomically claim one use of the coupon for a customer; throws CouponError if a limit has been reached
+export const reserveCoupon = async (coupon, email) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  if (!claimed) {
+    throw new CouponError('This coupon has been fully redeemed');
+  }
+
+  try {
+    // When the customer is at their limit the filter misses, the upsert hits the unique index and throws 11000
+    await CouponRedemption.findOneAndUpdate(
+      {
+        coupon: coupon._id,
+        email: email.toLowerCase(),
+        ...(coupon.perCustomerLimit !== null && { count: { $lt: coupon.perCustomerLimit } })
+      },
+      { $inc: { count: 1 }, updatedAt: new Date() },
+      { upsert: true }
+    );
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    if (error.code === 11000) {
+      throw new CouponError('You have already used this coupon');
+    }
+    throw error;
+  }
+};
+
+// Give back a use claimed by reserveCoupon (e.g. the order could not be saved)
+export const releaseCoupon = async (coupon, email) => {
+  await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponRedemption.updateOne(
+    { coupon: coupon._id, email: email.toLowerCase(), count: { $gt: 0 } },
+    { $inc: { count: -1 }, updatedAt: new Date() }
+  );
+};
+
+// Give back the use a cancelled order made of its coupon (looked up by code, as orders keep a copy)
+export const releaseOrderCoupon = async (order) => {
+  const coupon = await Coupon.findOne({ code: order.coupon.code });
+  if (!coupon) {
+    return;
+  }
+  await releaseCoupon(coupon, order.customer.email);
+  await CouponRedemption.updateOne(
+    { coupon: coupon._id, email: order.customer.email.toLowerCase() },
+    { $pull: { orderNumbers: order.orderNumber } }
+  );
+};
+
+export const recordCouponOrder = (coupon, email, orderNumber) => CouponRedemption.updateOne(
+  { coupon: coupon._id, email: email.toLowerCase() },
+  { $push: { orderNumbers: orderNumber } }
+);
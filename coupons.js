@@ -0,0 +1,270 @@
+import express from 'express';
+import Coupon from '../models/Coupon.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { priceOrderItems } from '../utils/pricingService.js';
+
+const router = express.Router();
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'bogoCategory', 'minSubtotal',
+  'startsAt', 'endsAt', 'usageLimit', 'perCustomerLimit', 'isActive'
+];
+
+// Only the editable fields; usedCount is maintained by checkout
+const pickCouponFields = (body) => Object.fromEntries(
+  COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// POST /api/coupons/validate - Preview a coupon against a cart
+router.post('/validate', async (req, res) => {
+  try {
+    const { code, items, deliveryAddress, email } = req.body;
+
+    if (!code || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code and cart items are required'
+      });
+    }
+
+    const { totals, coupon } = await priceOrderItems(items, {
+      pincode: deliveryAddress?.pincode?.trim(),
+      couponCode: code,
+      email: typeof email === 'string' ? email.trim().toLowerCase() : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description,
+        discount: totals.discountTotal + totals.deliveryDiscount,
+        subtotal: totals.subtotal,
+        discountTotal: totals.discountTotal,
+        packagingFee: totals.packagingFee,
+        deliveryFee: totals.deliveryFee,
+        taxTotal: totals.taxTotal,
+        total: totals.total
+      }
+    });
+
+  } catch (error) {
+    if (['OrderItemError', 'PricingError', 'CouponError'].includes(error.name)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// Everything below is for staff managing coupons
+router.use(authenticateToken, requireRole('admin', 'manager'));
+
+// GET /api/coupons - Get all coupons (admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/coupons/:id - Get single coupon (admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).select('-__v');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/coupons - Create new coupon (admin only)
+router.post('/', async (req, res) => {
+  try {
+    const coupon = new Coupon(pickCouponFields(req.body));
+    const savedCoupon = await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: savedCoupon
+    });
+
+  } catch (error) {
+    console.error('Create coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// PUT /api/coupons/:id - Update coupon (admin only)
+router.put('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Load into the document so validators that compare fields (e.g. value vs type) see the full coupon
+    coupon.set(pickCouponFields(req.body));
+
+    // Orders refer to their coupon by code, so once it has been used the code stays
+    if (coupon.isModified('code')) {
+      if (coupon.usedCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This coupon has been used, so its code cannot be changed'
+        });
+      }
+      // The save fails if the coupon is used while it is being renamed
+      coupon.$where = { usedCount: 0 };
+    }
+
+    const savedCoupon = await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: savedCoupon
+    });
+
+  } catch (error) {
+    console.error('Update coupon error:', error);
+
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has been used, so its code cannot be changed'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// DELETE /api/coupons/:id - Deactivate coupon (admin only); redeemed coupons stay on past orders
+router.delete('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,106 @@
+// Coupon preview and admin edits through the coupons router. Coupons live in memory instead of
+// MongoDB, so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Coupon from '../models/Coupon.js';
+import Setting from '../models/Setting.js';
+import couponRoutes from '../routes/coupons.js';
+
+let stored;
+let saved;
+let server;
+let baseUrl;
+
+const adminToken = jwt.sign(
+  { userId: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin', tokenVersion: 0 },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { jwtid: crypto.randomUUID() }
+);
+
+const send = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}/api/coupons${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(() => {
+  mock.method(RevokedToken, 'exists', async () => null);
+  mock.method(User, 'findById', () => ({
+    select: async () => ({ tokenVersion: 0, isActive: true })
+  }));
+  mock.method(Setting, 'getValue', async (key, defaults) => defaults);
+  mock.method(Coupon, 'findById', async () => Coupon.hydrate({ ...stored }));
+  mock.method(Coupon.prototype, 'save', async function() {
+    await this.validate();
+    saved = { doc: this.toObject(), where: this.$where };
+    return this;
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/coupons', couponRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  saved = null;
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    code: 'CHAI20',
+    type: 'percent',
+    value: 20,
+    usedCount: 0,
+    isActive: true
+  };
+});
+
+describe('POST /api/coupons/validate', () => {
+  test('an item that is not an object is a 400, not a server error', async () => {
+    for (const items of [[null], ['chai'], [[1]]]) {
+      const { status, body } = await send('POST', '/validate', { code: 'CHAI20', items });
+      assert.equal(status, 400);
+      assert.equal(body.message, 'Each item must be an object with a menuItemId and quantity');
+    }
+  });
+});
+
+describe('PUT /api/coupons/:id', () => {
+  test('the code of a coupon that has been used cannot change', async () => {
+    stored.usedCount = 3;
+
+    const { status } = await send('PUT', `/${stored._id}`, { code: 'TEA20' });
+    assert.equal(status, 409);
+    assert.equal(saved, null);
+  });
+
+  test('other fields of a used coupon can still change', async () => {
+    stored.usedCount = 3;
+
+    const { status } = await send('PUT', `/${stored._id}`, { code: 'chai20', value: 25 });
+    assert.equal(status, 200);
+    assert.equal(saved.doc.value, 25);
+    assert.equal(saved.where, undefined);
+  });
+
+  test('an unused coupon is renamed only if it is still unused when saved', async () => {
+    const { status } = await send('PUT', `/${stored._id}`, { code: 'TEA20' });
+    assert.equal(status, 200);
+    assert.equal(saved.doc.code, 'TEA20');
+    assert.deepEqual(saved.where, { usedCount: 0 });
+  });
+});
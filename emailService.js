@@ -0,0 +1,323 @@
+import nodemailer from 'nodemailer';
+
+// Messages delivered through the in-process capture transport (EMAIL_TRANSPORT=capture)
+export const capturedEmails = [];
+
+const captureTransport = {
+  name: 'capture',
+  version: '1.0.0',
+  send(mail, callback) {
+    capturedEmails.push(mail.data);
+    callback(null, {
+      envelope: mail.message.getEnvelope(),
+      messageId: mail.message.messageId()
+    });
+  }
+};
+
+let transporter;
+
+// Build the transport from EMAIL_TRANSPORT: 'smtp' (default), 'json', 'stream' or 'capture'
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  switch (process.env.EMAIL_TRANSPORT) {
+    case 'capture':
+      transporter = nodemailer.createTransport(captureTransport);
+      break;
+    case 'json':
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+      break;
+    case 'stream':
+      transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+      break;
+    default:
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+  }
+
+  return transporter;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatCurrency = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+// Wrap an HTML fragment in the shared Café Ahmedabad email layout
+const renderLayout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f7f3ee;font-family:Arial,sans-serif;color:#3b2a1a;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h2 style="margin-top:0;color:#6f4e37;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="margin-top:32px;font-size:12px;color:#8a7968;">Café Ahmedabad</p>
+    </div>
+  </body>
+</html>`;
+
+const renderButton = (href, label) =>
+  `<p><a href="${escapeHtml(href)}" style="background:#6f4e37;color:#ffffff;padding:10px 16px;border-radius:4px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+
+// "COLD COFFEE (Large, Oat milk)"
+const itemLabel = (item) => item.options?.length
+  ? `${item.name} (${item.options.map(option => option.name).join(', ')})`
+  : item.name;
+
+const renderOrderItems = (order) => `
+      <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+        ${order.items.map(item => `<tr>
+          <td style="padding:4px 0;">${escapeHtml(itemLabel(item))} × ${item.quantity}</td>
+          <td style="padding:4px 0;text-align:right;">${formatCurrency(item.price * item.quantity)}</td>
+        </tr>`).join('')}
+        <tr><td style="padding:4px 0;border-top:1px solid #e5dcd2;">Subtotal</td><td style="padding:4px 0;border-top:1px solid #e5dcd2;text-align:right;">${formatCurrency(order.subtotal)}</td></tr>
+        ${order.coupon?.code ? `<tr><td style="padding:4px 0;">Coupon ${escapeHtml(order.coupon.code)}</td><td style="padding:4px 0;text-align:right;">−${formatCurrency(order.coupon.discount)}</td></tr>` : ''}
+        ${order.packagingFee ? `<tr><td style="padding:4px 0;">Packaging</td><td style="padding:4px 0;text-align:right;">${formatCurrency(order.packagingFee)}</td></tr>` : ''}
+        <tr><td style="padding:4px 0;">Delivery fee</td><td style="padding:4px 0;text-align:right;">${formatCurrency(order.deliveryFee)}</td></tr>
+        ${(order.taxes || []).map(tax => `<tr><td style="padding:4px 0;">GST ${tax.rate}%${order.pricesIncludeTax ? ' (included)' : ''}</td><td style="padding:4px 0;text-align:right;">${formatCurrency(tax.amount)}</td></tr>`).join('')}
+        <tr><td style="padding:4px 0;font-weight:bold;">Total</td><td style="padding:4px 0;text-align:right;font-weight:bold;">${formatCurrency(order.total)}</td></tr>
+      </table>`;
+
+const textOrderItems = (order) => [
+  ...order.items.map(item => `  ${itemLabel(item)} x ${item.quantity}: ${formatCurrency(item.price * item.quantity)}`),
+  `  Subtotal: ${formatCurrency(order.subtotal)}`,
+  ...(order.coupon?.code ? [`  Coupon ${order.coupon.code}: -${formatCurrency(order.coupon.discount)}`] : []),
+  ...(order.packagingFee ? [`  Packaging: ${formatCurrency(order.packagingFee)}`] : []),
+  `  Delivery fee: ${formatCurrency(order.deliveryFee)}`,
+  ...(order.taxes || []).map(tax => `  GST ${tax.rate}%${order.pricesIncludeTax ? ' (included)' : ''}: ${formatCurrency(tax.amount)}`),
+  `  Total: ${formatCurrency(order.total)}`
+].join('\n');
+
+const formatAddress = (address) => [address.street, address.area, address.landmark, `${address.city} ${address.pincode}`]
+  .filter(Boolean)
+  .join(', ');
+
+const paymentMethodLabels = {
+  cod: 'Cash on delivery',
+  upi: 'UPI',
+  card: 'Card'
+};
+
+const orderStatusMessages = {
+  pending: 'We have received your order and will confirm it shortly.',
+  confirmed: 'Your order has been confirmed by the café.',
+  preparing: 'Our kitchen is preparing your order.',
+  'out-for-delivery': 'Your order is on its way!',
+  delivered: 'Your order has been delivered. Enjoy your meal!',
+  cancelled: 'Your order has been cancelled. If you have any questions, please contact us.'
+};
+
+const reservationMessages = {
+  pending: {
+    subject: 'We have received your reservation',
+    intro: 'Thank you for your reservation request. We will confirm your booking soon.'
+  },
+  confirmed: {
+    subject: 'Your reservation is confirmed',
+    intro: 'Your table is booked. We look forward to welcoming you!'
+  },
+  cancelled: {
+    subject: 'Your reservation has been cancelled',
+    intro: 'Your reservation has been cancelled. We hope to see you another time.'
+  }
+};
+
+// Each template returns { subject, text, html } for one kind of message
+const templates = {
+  passwordReset: (user, token) => {
+    const link = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+    return {
+      subject: 'Reset your Café Ahmedabad password',
+      text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in 1 hour and can only be used once.\n\n${link}\n\nIf you did not ask for a reset you can ignore this email.`,
+      html: renderLayout('Reset your password', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Use the button below to choose a new password. It expires in 1 hour and can only be used once.</p>
+      ${renderButton(link, 'Reset password')}
+      <p>If you did not ask for a reset you can ignore this email.</p>`)
+    };
+  },
+
+  emailVerification: (user, token) => {
+    const link = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+    return {
+      subject: 'Confirm your email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}`,
+      html: renderLayout('Confirm your email address', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Please confirm your email address. The link expires in 24 hours.</p>
+      ${renderButton(link, 'Confirm email')}`)
+    };
+  },
+
+  orderConfirmation: (order) => {
+    const link = frontendUrl(`/orders/${encodeURIComponent(order.orderNumber)}`);
+    const eta = order.estimatedDeliveryTime ? formatTime(order.estimatedDeliveryTime) : null;
+    return {
+      subject: `Order ${order.orderNumber} received`,
+      text: [
+        `Hi ${order.customer.name},`,
+        '',
+        `Thank you for your order! Your order number is ${order.orderNumber}.`,
+        '',
+        textOrderItems(order),
+        '',
+        `Delivery to: ${formatAddress(order.deliveryAddress)}`,
+        `Payment: ${paymentMethodLabels[order.paymentMethod] || order.paymentMethod}`,
+        eta ? `Estimated delivery: ${eta}` : '',
+        '',
+        `Track your order: ${link}`
+      ].join('\n'),
+      html: renderLayout(`Thank you for your order, ${order.customer.name}!`, `
+      <p>Your order number is <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+      ${renderOrderItems(order)}
+      <p>Delivery to: ${escapeHtml(formatAddress(order.deliveryAddress))}</p>
+      <p>Payment: ${escapeHtml(paymentMethodLabels[order.paymentMethod] || order.paymentMethod)}</p>
+      ${eta ? `<p>Estimated delivery: ${eta}</p>` : ''}
+      ${renderButton(link, 'Track your order')}`)
+    };
+  },
+
+  orderStatus: (order) => {
+    const link = frontendUrl(`/orders/${encodeURIComponent(order.orderNumber)}`);
+    const message = orderStatusMessages[order.status] || `Your order status is now ${order.status}.`;
+    return {
+      subject: `Order ${order.orderNumber}: ${order.status.replace(/-/g, ' ')}`,
+      text: `Hi ${order.customer.name},\n\n${message}\n\nOrder number: ${order.orderNumber}\nTrack your order: ${link}`,
+      html: renderLayout(`Order ${order.orderNumber}`, `
+      <p>Hi ${escapeHtml(order.customer.name)},</p>
+      <p>${escapeHtml(message)}</p>
+      ${renderButton(link, 'Track your order')}`)
+    };
+  },
+
+  reservation: (reservation) => {
+    const { subject, intro } = reservationMessages[reservation.status] || reservationMessages.pending;
+    const when = `${formatDate(reservation.startsAt)} at ${reservation.time}`;
+    const tables = reservation.tableNumbers || [];
+    const table = reservation.status === 'confirmed' && tables.length > 0
+      ? `${tables.length > 1 ? 'Tables' : 'Table'}: ${tables.join(' + ')}`
+      : '';
+    return {
+      subject,
+      text: [
+        `Hi ${reservation.name},`,
+        '',
+        intro,
+        '',
+        `Date: ${when}`,
+        `Guests: ${reservation.guests}`,
+        table || null,
+        reservation.specialRequests ? `Special requests: ${reservation.specialRequests}` : null
+      ].filter(line => line !== null).join('\n'),
+      html: renderLayout(subject, `
+      <p>Hi ${escapeHtml(reservation.name)},</p>
+      <p>${escapeHtml(intro)}</p>
+      <p><strong>Date:</strong> ${escapeHtml(when)}<br>
+      <strong>Guests:</strong> ${reservation.guests}
+      ${table ? `<br><strong>${escapeHtml(table)}</strong>` : ''}</p>
+      ${reservation.specialRequests ? `<p><strong>Special requests:</strong> ${escapeHtml(reservation.specialRequests)}</p>` : ''}`)
+    };
+  },
+
+  contactAlert: (contact) => ({
+    subject: `New contact message from ${contact.name}`,
+    text: `Name: ${contact.name}\nEmail: ${contact.email}\nPhone: ${contact.phone || '-'}\n\n${contact.message}`,
+    html: renderLayout('New contact message', `
+      <p><strong>Name:</strong> ${escapeHtml(contact.name)}<br>
+      <strong>Email:</strong> ${escapeHtml(contact.email)}<br>
+      <strong>Phone:</strong> ${escapeHtml(contact.phone || '-')}</p>
+      <p style="white-space:pre-wrap;">${escapeHtml(contact.message)}</p>`)
+  }),
+
+  lowStockAlert: (item) => {
+    const left = `${item.stock} ${item.unit ? `${item.unit}(s)` : 'left'}`;
+    return {
+      subject: item.stock > 0 ? `Low stock: ${item.name}` : `Out of stock: ${item.name}`,
+      text: `${item.name} is down to ${left} (alert threshold ${item.lowStockThreshold}).`,
+      html: renderLayout(item.stock > 0 ? 'Low stock' : 'Out of stock', `
+        <p><strong>${escapeHtml(item.name)}</strong> is down to ${escapeHtml(left)}
+        (alert threshold ${item.lowStockThreshold}).</p>`)
+    };
+  }
+};
+
+export const sendMail = ({ to, subject, text, html, replyTo }) => {
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'Café Ahmedabad <no-reply@cafeahmedabad.com>',
+    to,
+    replyTo,
+    subject,
+    text,
+    html
+  });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  return sendMail({ to: user.email, ...templates.passwordReset(user, token) });
+};
+
+export const sendVerificationEmail = (user, token) => {
+  return sendMail({ to: user.email, ...templates.emailVerification(user, token) });
+};
+
+// The compose* helpers address a message without sending it, so it can be queued
+// in the notification outbox (see notificationService.js) and delivered later.
+
+// Order confirmation for the customer right after checkout
+export const composeOrderEmail = (order) => ({
+  to: order.customer.email,
+  ...templates.orderConfirmation(order)
+});
+
+// Sent to the customer on every order status change
+export const composeOrderStatusEmail = (order) => ({
+  to: order.customer.email,
+  ...templates.orderStatus(order)
+});
+
+// Picks the received / confirmed / cancelled template from the reservation status
+export const composeReservationEmail = (reservation) => ({
+  to: reservation.email,
+  ...templates.reservation(reservation)
+});
+
+// Staff alert for a new contact form message; replies go straight to the sender
+export const composeContactEmail = (contact) => ({
+  to: process.env.STAFF_EMAIL || process.env.EMAIL_FROM || 'hello@cafeahmedabad.com',
+  replyTo: contact.email,
+  ...templates.contactAlert(contact)
+});
+
+// Staff alert when a menu item or ingredient drops to its low-stock threshold
+export const composeLowStockEmail = (item) => ({
+  to: process.env.STAFF_EMAIL || process.env.EMAIL_FROM || 'hello@cafeahmedabad.com',
+  ...templates.lowStockAlert(item)
+});
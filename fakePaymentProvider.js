@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+// Built-in provider for development and tests. It never talks to a real gateway: payments are
+// "completed" by posting a signed webhook (see signFakeWebhook) to POST /api/payments/webhook.
+
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+
+export const signFakeWebhook = (rawBody) =>
+  crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+
+const fakePaymentProvider = {
+  name: 'fake',
+
+  async createPayment({ order, method }) {
+    const providerPaymentId = `fake_pay_${crypto.randomBytes(12).toString('hex')}`;
+    const frontend = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    return {
+      providerPaymentId,
+      status: 'awaiting',
+      nextAction: method === 'upi'
+        ? { type: 'upi_intent', url: `upi://pay?pa=cafeahmedabad@fakebank&pn=Cafe%20Ahmedabad&am=${order.total}&tr=${providerPaymentId}&cu=INR` }
+        : { type: 'redirect', url: `${frontend}/fake-checkout/${providerPaymentId}` }
+    };
+  },
+
+  async refund({ order, amount }) {
+    if (amount > order.total) {
+      throw new Error('Refund exceeds the captured amount');
+    }
+
+    return {
+      providerRefundId: `fake_refund_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'completed'
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-payment-signature'];
+    if (!rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(signFakeWebhook(rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  // Body: { id, type: 'payment.authorized' | 'payment.captured' | 'payment.failed' | 'payment.refunded', paymentId, reason? }
+  parseWebhook(body) {
+    return {
+      eventId: body.id,
+      type: body.type,
+      providerPaymentId: body.paymentId,
+      status: String(body.type || '').replace(/^payment\./, ''),
+      failureReason: body.reason
+    };
+  }
+};
+
+export default fakePaymentProvider;
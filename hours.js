@@ -0,0 +1,37 @@
+import express from 'express';
+import { CAFE_TIMEZONE, addDays, cafeClock } from '../utils/cafeTime.js';
+import { getOpeningHours, hoursOn, nextOpeningDetails, shiftAt } from '../utils/hoursService.js';
+
+const router = express.Router();
+
+// GET /api/hours - Whether the café is open now, and its hours for the coming days
+router.get('/', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+
+    const hours = await getOpeningHours();
+    const now = new Date();
+    const today = cafeClock(now).date;
+    const shift = shiftAt(hours, now);
+
+    res.json({
+      success: true,
+      data: {
+        timezone: CAFE_TIMEZONE,
+        openNow: Boolean(shift),
+        closesAt: shift?.closesAt || null,
+        ...(shift ? { nextOpening: null, nextOpeningLabel: null } : nextOpeningDetails(hours, now)),
+        days: Array.from({ length: days }, (_, i) => hoursOn(hours, addDays(today, i)))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get opening hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,177 @@
+import Setting from '../models/Setting.js';
+import {
+  addDays,
+  cafeClock,
+  cafeDateTime,
+  isValidDateString,
+  isValidTimeString,
+  timeToMinutes
+} from './cafeTime.js';
+import { formatAvailableFrom } from './scheduleService.js';
+
+// Long enough to see past a week-long Diwali closure
+const LOOKAHEAD_DAYS = 30;
+
+const everyDay = (shifts) => Array.from({ length: 7 }, () => shifts.map(shift => ({ ...shift })));
+
+/*
+ * Opening hours, all in café time (IST):
+ *   weekly       - shifts for each weekday, index 0 (Sunday) - 6; two shifts make a split day
+ *                  and an empty list closes the café that day
+ *   specialHours - [{ label: 'Navratri', startDate, endDate, shifts }] replacing the weekly
+ *                  shifts on those dates (inclusive)
+ *   closures     - [{ label: 'Diwali', startDate, endDate }] closed all day; wins over special hours
+ * A shift is { open: '08:00', close: '15:00' } with close exclusive and on the same day.
+ */
+export const DEFAULT_OPENING_HOURS = {
+  weekly: everyDay([{ open: '08:00', close: '23:00' }]),
+  specialHours: [],
+  closures: []
+};
+
+export const getOpeningHours = async () => ({
+  ...DEFAULT_OPENING_HOURS,
+  ...(await Setting.getValue('opening-hours', {}))
+});
+
+const validateShifts = (shifts, path) => {
+  if (!Array.isArray(shifts)) {
+    return [`${path} must be a list of shifts`];
+  }
+
+  const errors = [];
+  shifts.forEach((shift, i) => {
+    const at = `${path}[${i}]`;
+    if (shift === null || typeof shift !== 'object' || !isValidTimeString(shift.open) || !isValidTimeString(shift.close)) {
+      errors.push(`${at} must have open and close times as HH:MM`);
+    } else if (timeToMinutes(shift.open) >= timeToMinutes(shift.close)) {
+      errors.push(`${at}.open must be before close`);
+    }
+  });
+
+  // Overlapping shifts are almost always a typo
+  const valid = shifts.filter(shift => isValidTimeString(shift?.open) && isValidTimeString(shift?.close))
+    .sort((a, b) => timeToMinutes(a.open) - timeToMinutes(b.open));
+  for (let i = 1; i < valid.length; i++) {
+    if (timeToMinutes(valid[i].open) < timeToMinutes(valid[i - 1].close)) {
+      errors.push(`${path} has overlapping shifts`);
+      break;
+    }
+  }
+
+  return errors;
+};
+
+const validateDateRange = (entry, path) => {
+  const errors = [];
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${path} must be an object`];
+  }
+  if (!isValidDateString(entry.startDate)) errors.push(`${path}.startDate must be YYYY-MM-DD`);
+  if (entry.endDate !== undefined && !isValidDateString(entry.endDate)) errors.push(`${path}.endDate must be YYYY-MM-DD`);
+  if (isValidDateString(entry.startDate) && isValidDateString(entry.endDate) && entry.startDate > entry.endDate) {
+    errors.push(`${path}.startDate must not be after endDate`);
+  }
+  return errors;
+};
+
+// Returns a list of problems with an opening hours document (empty when valid)
+export const validateOpeningHours = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Opening hours must be an object'];
+  }
+
+  const { weekly, specialHours = [], closures = [] } = value;
+  const errors = [];
+
+  if (weekly !== undefined) {
+    if (!Array.isArray(weekly) || weekly.length !== 7) {
+      errors.push('weekly must list shifts for each of the 7 weekdays, starting with Sunday');
+    } else {
+      weekly.forEach((shifts, day) => errors.push(...validateShifts(shifts, `weekly[${day}]`)));
+    }
+  }
+
+  if (!Array.isArray(specialHours)) {
+    errors.push('specialHours must be a list');
+  } else {
+    specialHours.forEach((entry, i) => {
+      const rangeErrors = validateDateRange(entry, `specialHours[${i}]`);
+      errors.push(...rangeErrors);
+      if (rangeErrors.length === 0) errors.push(...validateShifts(entry.shifts, `specialHours[${i}].shifts`));
+    });
+  }
+
+  if (!Array.isArray(closures)) {
+    errors.push('closures must be a list');
+  } else {
+    closures.forEach((entry, i) => errors.push(...validateDateRange(entry, `closures[${i}]`)));
+  }
+
+  return errors;
+};
+
+const coversDate = (entry, date) => date >= entry.startDate && date <= (entry.endDate || entry.startDate);
+
+/**
+ * Hours on a café date (YYYY-MM-DD): { date, weekday, closed, label, shifts } where label
+ * names the closure or special hours that apply, if any.
+ */
+export const hoursOn = (hours, date) => {
+  const { weekday } = cafeClock(cafeDateTime(date, '12:00'));
+
+  const closure = hours.closures.find(entry => coversDate(entry, date));
+  if (closure) {
+    return { date, weekday, closed: true, label: closure.label || 'Closed', shifts: [] };
+  }
+
+  const special = hours.specialHours.find(entry => coversDate(entry, date));
+  const shifts = (special ? special.shifts : hours.weekly[weekday])
+    .slice()
+    .sort((a, b) => timeToMinutes(a.open) - timeToMinutes(b.open));
+
+  return { date, weekday, closed: shifts.length === 0, label: special?.label || null, shifts };
+};
+
+// The shift open at `at` as { opensAt, closesAt } instants, or null when closed
+export const shiftAt = (hours, at = new Date()) => {
+  const { date, minutes } = cafeClock(at);
+  const shift = hoursOn(hours, date).shifts
+    .find(({ open, close }) => minutes >= timeToMinutes(open) && minutes < timeToMinutes(close));
+
+  return shift ? { opensAt: cafeDateTime(date, shift.open), closesAt: cafeDateTime(date, shift.close) } : null;
+};
+
+export const isOpenAt = (hours, at = new Date()) => shiftAt(hours, at) !== null;
+
+// Start of the next shift after `from`, or null if the café stays closed for LOOKAHEAD_DAYS
+export const nextOpening = (hours, from = new Date()) => {
+  const today = cafeClock(from).date;
+
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const date = addDays(today, day);
+    const opening = hoursOn(hours, date).shifts
+      .map(shift => cafeDateTime(date, shift.open))
+      .find(instant => instant > from);
+    if (opening) {
+      return opening;
+    }
+  }
+
+  return null;
+};
+
+// Whether the café is open for the whole of [start, end), e.g. a reservation's table time
+export const isOpenThroughout = (hours, start, end) => {
+  const shift = shiftAt(hours, start);
+  return shift !== null && end <= shift.closesAt;
+};
+
+// Shape used in "we're closed" responses: { nextOpening, nextOpeningLabel }
+export const nextOpeningDetails = (hours, from = new Date()) => {
+  const opensAt = nextOpening(hours, from);
+  return {
+    nextOpening: opensAt,
+    nextOpeningLabel: opensAt ? formatAvailableFrom(opensAt) : null
+  };
+};
@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cafeDateTime } from '../utils/cafeTime.js';
+import {
+  DEFAULT_OPENING_HOURS,
+  hoursOn,
+  isOpenThroughout,
+  nextOpening,
+  validateOpeningHours
+} from '../utils/hoursService.js';
+
+// Monday has a split day and Tuesday is closed; 2026-10-19 is a Monday
+const weekly = Array.from({ length: 7 }, () => [{ open: '08:00', close: '23:00' }]);
+weekly[1] = [{ open: '15:00', close: '22:00' }, { open: '08:00', close: '12:00' }];
+weekly[2] = [];
+
+const hours = {
+  weekly,
+  specialHours: [{ label: 'Navratri', startDate: '2026-10-22', endDate: '2026-10-23', shifts: [{ open: '18:00', close: '23:59' }] }],
+  closures: [{ label: 'Diwali', startDate: '2026-11-08', endDate: '2026-11-09' }]
+};
+
+const at = (date, time) => cafeDateTime(date, time);
+
+describe('hoursOn', () => {
+  test('gives the weekly shifts in opening order', () => {
+    const monday = hoursOn(hours, '2026-10-19');
+    assert.equal(monday.weekday, 1);
+    assert.equal(monday.closed, false);
+    assert.deepEqual(monday.shifts.map(shift => shift.open), ['08:00', '15:00']);
+  });
+
+  test('a day without shifts is closed', () => {
+    assert.equal(hoursOn(hours, '2026-10-20').closed, true);
+  });
+
+  test('special hours replace the weekly shifts on their dates', () => {
+    const day = hoursOn(hours, '2026-10-23');
+    assert.equal(day.label, 'Navratri');
+    assert.deepEqual(day.shifts, [{ open: '18:00', close: '23:59' }]);
+  });
+
+  test('closures close the whole day, end date included', () => {
+    assert.deepEqual(hoursOn(hours, '2026-11-09'), {
+      date: '2026-11-09', weekday: 1, closed: true, label: 'Diwali', shifts: []
+    });
+  });
+});
+
+describe('isOpenThroughout', () => {
+  test('is true when the whole window fits in one shift', () => {
+    assert.equal(isOpenThroughout(hours, at('2026-10-19', '09:00'), at('2026-10-19', '11:30')), true);
+    assert.equal(isOpenThroughout(hours, at('2026-10-19', '10:30'), at('2026-10-19', '12:00')), true);
+  });
+
+  test('is false when the window runs past closing or into the afternoon break', () => {
+    assert.equal(isOpenThroughout(hours, at('2026-10-19', '11:00'), at('2026-10-19', '12:30')), false);
+    assert.equal(isOpenThroughout(hours, at('2026-10-19', '21:00'), at('2026-10-19', '22:30')), false);
+  });
+
+  test('is false when the start is outside every shift', () => {
+    assert.equal(isOpenThroughout(hours, at('2026-10-19', '13:00'), at('2026-10-19', '14:00')), false);
+    assert.equal(isOpenThroughout(hours, at('2026-10-20', '10:00'), at('2026-10-20', '11:00')), false);
+  });
+});
+
+describe('nextOpening', () => {
+  test('skips closed days', () => {
+    assert.deepEqual(nextOpening(hours, at('2026-10-19', '22:30')), at('2026-10-21', '08:00'));
+  });
+
+  test('finds the second shift of a split day', () => {
+    assert.deepEqual(nextOpening(hours, at('2026-10-19', '12:30')), at('2026-10-19', '15:00'));
+  });
+});
+
+describe('validateOpeningHours', () => {
+  test('accepts the defaults', () => {
+    assert.deepEqual(validateOpeningHours(DEFAULT_OPENING_HOURS), []);
+  });
+
+  test('reports overlapping shifts and impossible dates', () => {
+    const errors = validateOpeningHours({
+      weekly: Array.from({ length: 7 }, () => [{ open: '08:00', close: '12:00' }, { open: '11:00', close: '15:00' }]),
+      closures: [{ startDate: '2026-02-30' }]
+    });
+    assert.ok(errors.includes('weekly[0] has overlapping shifts'));
+    assert.ok(errors.includes('closures[0].startDate must be YYYY-MM-DD'));
+  });
+});
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Middleware that makes a POST safe to retry when the client sends an Idempotency-Key header.
+// A replay with the same key and body gets the original response; the same key with a
+// different body is rejected with 422. Requests without the header are handled normally.
+export function idempotency({ ttlHours = 24 } = {}) {
+  return async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = crypto.createHash('sha256').update(canonicalJson(req.body ?? {})).digest('hex');
+
+    try {
+      await IdempotencyKey.create({
+        key,
+        scope,
+        requestHash,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error('Idempotency key error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error. Please try again later.'
+        });
+      }
+
+      let existing;
+      try {
+        existing = await IdempotencyKey.findOne({ key, scope });
+      } catch (lookupError) {
+        console.error('Idempotency key error:', lookupError);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error. Please try again later.'
+        });
+      }
+
+      if (!existing) {
+        // Expired between the insert and the lookup; treat it as a fresh request
+        return idempotency({ ttlHours })(req, res, next);
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request body'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response so later replays get exactly the same answer
+    let captured = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      captured = true;
+      const record = res.statusCode >= 500
+        // Server errors are not stored, so the client can retry with the same key
+        ? IdempotencyKey.deleteOne({ key, scope })
+        : IdempotencyKey.updateOne(
+          { key, scope },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+        );
+
+      record.catch(err => console.error('Idempotency key update failed:', err));
+      return json(body);
+    };
+
+    // Anything not sent through res.json (res.send, an error passed to next) cannot be replayed;
+    // forget the key so a retry is handled instead of being told it is still processing
+    res.on('finish', () => {
+      if (!captured) {
+        IdempotencyKey.deleteOne({ key, scope }).catch(err => console.error('Idempotency key update failed:', err));
+      }
+    });
+
+    next();
+  };
+}
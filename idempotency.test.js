@@ -0,0 +1,123 @@
+// The Idempotency-Key middleware in front of a small express app. Keys live in memory instead
+// of MongoDB, so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const keys = new Map();
+const keyId = ({ key, scope }) => `${scope} ${key}`;
+
+let handled = 0;
+let server;
+let baseUrl;
+
+const post = async (path, body, key = 'key-1') => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, replayed: response.headers.get('idempotent-replayed'), text: await response.text() };
+};
+
+// Lets the "finish" handler's delete settle before the next request
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+before(() => {
+  mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (keys.has(keyId(fields))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    keys.set(keyId(fields), { status: 'processing', ...fields });
+  });
+  mock.method(IdempotencyKey, 'findOne', async (filter) => keys.get(keyId(filter)) || null);
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    Object.assign(keys.get(keyId(filter)), update);
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    keys.delete(keyId(filter));
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.post('/json', idempotency(), (req, res) => {
+    handled++;
+    res.status(201).json({ success: true, handled });
+  });
+  app.post('/text', idempotency(), (req, res) => {
+    handled++;
+    res.send('done');
+  });
+  app.post('/fails', idempotency(), (req, res, next) => {
+    handled++;
+    next(new Error('boom'));
+  });
+  // Keep the default error handler from printing the stack trace
+  app.use((err, req, res, next) => res.status(500).end());
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  keys.clear();
+  handled = 0;
+});
+
+describe('idempotency middleware', () => {
+  test('a retry with the same key and body gets the stored response', async () => {
+    const first = await post('/json', { item: 'chai' });
+    await settle();
+    const second = await post('/json', { item: 'chai' });
+
+    assert.equal(second.status, 201);
+    assert.equal(second.replayed, 'true');
+    assert.equal(second.text, first.text);
+    assert.equal(handled, 1);
+  });
+
+  test('the same key with a different body is rejected', async () => {
+    await post('/json', { item: 'chai' });
+    await settle();
+
+    assert.equal((await post('/json', { item: 'coffee' })).status, 422);
+  });
+
+  test('responses not sent as JSON release the key so a retry is handled', async () => {
+    await post('/text', {});
+    await settle();
+    const retry = await post('/text', {});
+
+    assert.equal(retry.status, 200);
+    assert.equal(handled, 2);
+  });
+
+  test('errors passed to next release the key', async () => {
+    await post('/fails', {});
+    await settle();
+    await post('/fails', {});
+
+    assert.equal(handled, 2);
+  });
+
+  test('a failing key lookup answers 500 instead of hanging', async () => {
+    await post('/json', {});
+    await settle();
+    const lookup = mock.method(IdempotencyKey, 'findOne', async () => {
+      throw new Error('connection lost');
+    });
+    const errorLog = mock.method(console, 'error', () => {});
+
+    const { status } = await post('/json', {});
+
+    lookup.mock.restore();
+    errorLog.mock.restore();
+    assert.equal(status, 500);
+  });
+});
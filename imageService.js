@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getImageStorage } from './imageStorage.js';
+
+// Read when used, not on import, so a value from .env is picked up
+export const maxImageBytes = () => Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Sizes generated for every upload; `card` also becomes MenuItem.image
+export const IMAGE_SIZES = {
+  thumbnail: { width: 200, height: 200 },
+  card: { width: 600, height: 400 }
+};
+
+// Refuse decompression bombs: a small file that expands to a huge bitmap
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+export class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
+
+/**
+ * Resize an uploaded image into every IMAGE_SIZES variant (WebP, cropped to fill) and store them.
+ * The file's real format is checked, not just the type the client claimed.
+ * Returns { storage, thumbnail: { key, url, width, height }, card: {...} }.
+ */
+export const storeMenuItemImage = async (menuItemId, buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new ImageError('The file is not a readable image');
+  }
+
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+    throw new ImageError('Only JPEG, PNG and WebP images are allowed');
+  }
+
+  const storage = getImageStorage();
+  // Content-addressed names, so a new upload gets a new URL and files can be cached forever
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+
+  const stored = { storage: storage.name };
+  for (const [size, { width, height }] of Object.entries(IMAGE_SIZES)) {
+    const output = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate() // respect the camera's EXIF orientation
+      .resize(width, height, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    const { key, url } = await storage.save(`menu/${menuItemId}-${hash}-${size}.webp`, output, 'image/webp');
+    stored[size] = { key, url, width, height };
+  }
+
+  return stored;
+};
+
+// Delete every stored variant of an uploaded image; failures are logged, not thrown
+export const removeMenuItemImage = async (uploaded) => {
+  if (!uploaded?.storage) {
+    return;
+  }
+
+  const storage = getImageStorage(uploaded.storage);
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    const key = uploaded[size]?.key;
+    if (!key) continue;
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Removing image ${key} failed:`, error);
+    }
+  }
+};
@@ -0,0 +1,22 @@
+import localImageStorage from './localImageStorage.js';
+
+// Image storage adapters implement:
+//   name
+//   save(key, buffer, contentType) -> { key, url }
+//   remove(key)                    -> resolves once the file is gone (missing files are not an error)
+// Keys look like "menu/<itemId>-<hash>-card.webp"; the URL is what clients load.
+const adapters = {
+  [localImageStorage.name]: localImageStorage
+};
+
+export const registerImageStorage = (adapter) => {
+  adapters[adapter.name] = adapter;
+};
+
+export const getImageStorage = (name = process.env.IMAGE_STORAGE || 'local') => {
+  const adapter = Object.hasOwn(adapters, name) ? adapters[name] : null;
+  if (!adapter) {
+    throw new Error(`Unknown image storage "${name}"`);
+  }
+  return adapter;
+};
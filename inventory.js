@@ -0,0 +1,300 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import MenuItem from '../models/MenuItem.js';
+import Ingredient from '../models/Ingredient.js';
+import StockMovement from '../models/StockMovement.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { adjustStock, refreshAvailability } from '../utils/inventoryService.js';
+
+const router = express.Router();
+
+const ADJUSTMENT_REASONS = ['restock', 'wastage', 'correction'];
+
+router.use(authenticateToken, requireRole('admin', 'manager'));
+
+const staffActor = (user) => ({
+  kind: 'staff',
+  userId: user.userId,
+  email: user.email,
+  role: user.role
+});
+
+// GET /api/inventory - Stock of tracked menu items and ingredients (admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { lowStock } = req.query;
+
+    // Items at or below their alert threshold
+    const lowStockFilter = lowStock === 'true' ? { $expr: { $lte: ['$stock', '$lowStockThreshold'] } } : {};
+
+    const menuItems = await MenuItem.find({ stock: { $type: 'number' }, archivedAt: null, ...lowStockFilter })
+      .sort({ stock: 1 })
+      .select('name category stock lowStockThreshold isAvailable outOfStock');
+
+    const ingredients = await Ingredient.find(lowStockFilter)
+      .sort({ stock: 1 })
+      .select('-__v');
+
+    const withFlag = (doc) => ({ ...doc.toObject(), lowStock: doc.stock <= doc.lowStockThreshold });
+
+    res.json({
+      success: true,
+      data: {
+        menuItems: menuItems.map(withFlag),
+        ingredients: ingredients.map(withFlag)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/inventory/ingredients - Start tracking an ingredient (admin only)
+router.post('/ingredients', async (req, res) => {
+  try {
+    const { name, unit, stock, lowStockThreshold } = req.body;
+
+    const ingredient = await Ingredient.create({ name, unit, stock, lowStockThreshold });
+
+    await StockMovement.create({
+      kind: 'ingredient',
+      ingredient: ingredient._id,
+      name: ingredient.name,
+      change: ingredient.stock,
+      stockAfter: ingredient.stock,
+      reason: 'restock',
+      note: 'Starting stock',
+      actor: staffActor(req.user)
+    });
+
+    // Menu items using it may need switching off straight away if it starts at zero
+    await refreshAvailability([{ kind: 'ingredient', item: ingredient._id, name: ingredient.name }]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ingredient created successfully',
+      data: ingredient
+    });
+
+  } catch (error) {
+    console.error('Create ingredient error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An ingredient with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// PUT /api/inventory/ingredients/:id - Update an ingredient's unit or alert threshold (admin only)
+router.put('/ingredients/:id', async (req, res) => {
+  try {
+    const { unit, lowStockThreshold } = req.body;
+
+    const update = { updatedAt: new Date() };
+    if (unit !== undefined) update.unit = unit;
+    if (lowStockThreshold !== undefined) update.lowStockThreshold = lowStockThreshold;
+
+    const ingredient = await Ingredient.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    if (!ingredient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingredient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ingredient updated successfully',
+      data: ingredient
+    });
+
+  } catch (error) {
+    console.error('Update ingredient error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ingredient ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/inventory/adjustments - Add, remove or set stock for a menu item or ingredient (admin only)
+router.post('/adjustments', async (req, res) => {
+  try {
+    const { menuItemId, ingredientId, change, stock, reason, note } = req.body;
+
+    if (!menuItemId === !ingredientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either menuItemId or ingredientId'
+      });
+    }
+
+    if ((change === undefined) === (stock === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a stock change or a new stock count'
+      });
+    }
+
+    if (change !== undefined && (!Number.isInteger(change) || change === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock change must be a non-zero whole number'
+      });
+    }
+
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock must be a whole number of at least 0'
+      });
+    }
+
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`
+      });
+    }
+
+    const id = menuItemId || ingredientId;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+
+    const updated = await adjustStock({
+      kind: menuItemId ? 'menu-item' : 'ingredient',
+      id,
+      change,
+      stock,
+      reason,
+      note: typeof note === 'string' ? note.trim() : undefined,
+      actor: staffActor(req.user)
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: menuItemId ? 'Menu item not found' : 'Ingredient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: {
+        id: updated._id,
+        name: updated.name,
+        stock: updated.stock,
+        lowStock: updated.stock <= updated.lowStockThreshold
+      }
+    });
+
+  } catch (error) {
+    console.error('Adjust stock error:', error);
+
+    if (error.name === 'StockError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/inventory/movements - Stock audit log, newest first (admin only)
+router.get('/movements', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, menuItemId, ingredientId, reason } = req.query;
+
+    const query = {};
+    if (menuItemId) query.menuItem = menuItemId;
+    if (ingredientId) query.ingredient = ingredientId;
+    if (reason) query.reason = reason;
+
+    const movements = await StockMovement.find(query)
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
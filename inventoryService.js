@@ -0,0 +1,268 @@
+import MenuItem from '../models/MenuItem.js';
+import Ingredient from '../models/Ingredient.js';
+import StockMovement from '../models/StockMovement.js';
+import { notifyLowStock } from './notificationService.js';
+
+export class StockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StockError';
+  }
+}
+
+const stockModels = {
+  'menu-item': MenuItem,
+  ingredient: Ingredient
+};
+
+const usageKey = (entry) => `${entry.kind}:${entry.item}`;
+
+/**
+ * Stock needed for order items: units of every menu item that tracks stock, plus one
+ * portion per unit of every tracked ingredient listed in the item's `ingredients`.
+ * Returns [{ kind, item, name, quantity }].
+ */
+export const stockUsageFor = async (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const id = String(item.menuItem);
+    quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+  }
+
+  const menuItems = await MenuItem.find({ _id: { $in: [...quantities.keys()] } }).select('name stock ingredients');
+
+  const usage = [];
+  const portions = new Map();
+  for (const menuItem of menuItems) {
+    const quantity = quantities.get(String(menuItem._id));
+    if (menuItem.stock != null) {
+      usage.push({ kind: 'menu-item', item: menuItem._id, name: menuItem.name, quantity });
+    }
+    for (const name of new Set(menuItem.ingredients.map(ingredient => ingredient.toLowerCase()))) {
+      portions.set(name, (portions.get(name) || 0) + quantity);
+    }
+  }
+
+  const ingredients = await Ingredient.find({ name: { $in: [...portions.keys()] } }).select('name');
+  for (const ingredient of ingredients) {
+    usage.push({ kind: 'ingredient', item: ingredient._id, name: ingredient.name, quantity: portions.get(ingredient.name) });
+  }
+
+  return usage;
+};
+
+// Atomically move one stock count by `change`; returns null if it would go below zero or is not tracked
+const applyChange = async ({ kind, item }, change, { reason, order, actor, note }) => {
+  const Model = stockModels[kind];
+  const updated = await Model.findOneAndUpdate(
+    { _id: item, stock: change < 0 ? { $gte: -change } : { $type: 'number' } },
+    { $inc: { stock: change }, updatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  await StockMovement.create({
+    kind,
+    [kind === 'menu-item' ? 'menuItem' : 'ingredient']: item,
+    name: updated.name,
+    change,
+    stockAfter: updated.stock,
+    reason,
+    order,
+    actor,
+    note
+  });
+
+  // Alert staff once, when the count first drops to the threshold
+  const before = updated.stock - change;
+  if (updated.stock <= updated.lowStockThreshold && before > updated.lowStockThreshold) {
+    try {
+      await notifyLowStock(kind, updated);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Turn menu items off when they (or a tracked ingredient) run out, and back on once restocked.
+ * Only items switched off by this function are switched back on; a manual "unavailable" stays.
+ */
+export const refreshAvailability = async (usage) => {
+  const menuItemIds = usage.filter(entry => entry.kind === 'menu-item').map(entry => entry.item);
+  const ingredientNames = usage.filter(entry => entry.kind === 'ingredient').map(entry => entry.name);
+
+  const menuItems = await MenuItem.find({
+    $or: [
+      { _id: { $in: menuItemIds } },
+      { ingredients: { $in: ingredientNames } }
+    ]
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .select('stock ingredients isAvailable outOfStock');
+
+  const allIngredients = [...new Set(menuItems.flatMap(menuItem => menuItem.ingredients.map(name => name.toLowerCase())))];
+  const emptyIngredients = new Set(
+    (await Ingredient.find({ name: { $in: allIngredients }, stock: { $lte: 0 } }).select('name'))
+      .map(ingredient => ingredient.name)
+  );
+
+  for (const menuItem of menuItems) {
+    const inStock = !(menuItem.stock != null && menuItem.stock <= 0) &&
+      !menuItem.ingredients.some(name => emptyIngredients.has(name.toLowerCase()));
+
+    if (!inStock && menuItem.isAvailable) {
+      await MenuItem.updateOne(
+        { _id: menuItem._id, isAvailable: true },
+        { isAvailable: false, outOfStock: true, updatedAt: new Date() }
+      );
+    } else if (inStock && menuItem.outOfStock) {
+      await MenuItem.updateOne(
+        { _id: menuItem._id, outOfStock: true },
+        { isAvailable: true, outOfStock: false, updatedAt: new Date() }
+      );
+    }
+  }
+};
+
+/**
+ * Take stock for a list of usage entries. Either all of it is taken or, if any count
+ * would go below zero, none of it is and a StockError is thrown.
+ */
+const takeStock = async (usage, details) => {
+  const taken = [];
+
+  for (const entry of usage) {
+    const updated = await applyChange(entry, -entry.quantity, details);
+
+    if (!updated) {
+      for (const done of taken) {
+        await applyChange(done, done.quantity, { ...details, reason: 'correction', note: 'Not enough stock for the rest of the order' });
+      }
+
+      const current = await stockModels[entry.kind].findById(entry.item).select('stock');
+      const left = Math.max(current?.stock ?? 0, 0);
+      throw new StockError(entry.kind === 'menu-item'
+        ? `Only ${left} "${entry.name}" left in stock`
+        : `Not enough ${entry.name} left to make this order`);
+    }
+
+    taken.push(entry);
+  }
+};
+
+// Take the stock an order needs; returns the usage to store on the order
+export const reserveStock = async (items, { order, actor } = {}) => {
+  const usage = await stockUsageFor(items);
+  if (usage.length === 0) {
+    return usage;
+  }
+
+  await takeStock(usage, { reason: 'order', order, actor });
+  await refreshAvailability(usage);
+  return usage;
+};
+
+// Put back stock recorded on an order, e.g. when it is cancelled
+export const releaseStock = async (usage, { order, actor, reason = 'cancellation', note } = {}) => {
+  for (const entry of usage) {
+    await applyChange(entry, entry.quantity, { reason, order, actor, note });
+  }
+
+  if (usage.length > 0) {
+    await refreshAvailability(usage);
+  }
+};
+
+// Take or give back the difference between two usage lists
+const moveStock = async (fromUsage, toUsage, { order, actor }) => {
+  const deltas = new Map();
+  for (const entry of toUsage) {
+    deltas.set(usageKey(entry), { kind: entry.kind, item: entry.item, name: entry.name, quantity: entry.quantity });
+  }
+  for (const entry of fromUsage) {
+    const key = usageKey(entry);
+    const delta = deltas.get(key) || { kind: entry.kind, item: entry.item, name: entry.name, quantity: 0 };
+    delta.quantity -= entry.quantity;
+    deltas.set(key, delta);
+  }
+
+  const more = [...deltas.values()].filter(delta => delta.quantity > 0);
+  const less = [...deltas.values()].filter(delta => delta.quantity < 0);
+
+  await takeStock(more, { reason: 'order-change', order, actor });
+  for (const delta of less) {
+    await applyChange(delta, -delta.quantity, { reason: 'order-change', order, actor });
+  }
+
+  if (deltas.size > 0) {
+    await refreshAvailability([...deltas.values()]);
+  }
+};
+
+/**
+ * Move an order from the stock it holds to what its new items need, taking only the
+ * difference so shrinking an order never fails. Returns the new usage.
+ */
+export const changeStockUsage = async (previousUsage, items, { order, actor } = {}) => {
+  const usage = await stockUsageFor(items);
+  await moveStock(previousUsage, usage, { order, actor });
+  return usage;
+};
+
+// Undo changeStockUsage: move the order from `usage` back to exactly the `previousUsage` it held
+export const revertStockUsage = (usage, previousUsage, { order, actor } = {}) =>
+  moveStock(usage, previousUsage, { order, actor });
+
+/**
+ * Admin stock adjustment: add or remove `change` units, or set an absolute `stock` count
+ * (which also starts tracking a menu item). Returns the updated document, or null if not found.
+ */
+export const adjustStock = async ({ kind, id, change, stock, reason, note, actor }) => {
+  const Model = stockModels[kind];
+  const current = await Model.findById(id).select('name stock');
+  if (!current) {
+    return null;
+  }
+
+  let updated;
+  if (stock !== undefined) {
+    // Fails if an order moved the count since it was read
+    updated = await Model.findOneAndUpdate(
+      { _id: id, stock: current.stock ?? null },
+      { stock, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new StockError('Stock changed while it was being updated. Please try again.');
+    }
+
+    await StockMovement.create({
+      kind,
+      [kind === 'menu-item' ? 'menuItem' : 'ingredient']: id,
+      name: updated.name,
+      change: stock - (current.stock ?? 0),
+      stockAfter: stock,
+      reason,
+      actor,
+      note
+    });
+  } else {
+    if (current.stock == null) {
+      throw new StockError(`Stock is not tracked for "${current.name}". Set a starting stock first.`);
+    }
+
+    updated = await applyChange({ kind, item: current._id }, change, { reason, actor, note });
+    if (!updated) {
+      throw new StockError(`Cannot remove ${-change}: only ${current.stock} "${current.name}" in stock`);
+    }
+  }
+
+  await refreshAvailability([{ kind, item: updated._id, name: updated.name }]);
+  return updated;
+};
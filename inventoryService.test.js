@@ -0,0 +1,246 @@
+// Taking and giving back stock for orders. Menu items, ingredients and stock movements live in
+// memory instead of MongoDB, so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import MenuItem from '../models/MenuItem.js';
+import Ingredient from '../models/Ingredient.js';
+import StockMovement from '../models/StockMovement.js';
+import Notification from '../models/Notification.js';
+import { changeStockUsage, releaseStock, reserveStock } from '../utils/inventoryService.js';
+
+// --- In-memory stock: just enough of the model API for the inventory service ---
+
+const menuItems = new Map();
+const ingredients = new Map();
+let movements;
+let alerts;
+
+// Resolves like a mongoose query and accepts the chained calls the service makes
+const query = (result) => ({
+  select() {
+    return this;
+  },
+  collation() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+const storeMenuItem = (fields) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    category: 'snacks',
+    description: 'Test item',
+    price: 50,
+    isAvailable: true,
+    outOfStock: false,
+    ingredients: [],
+    stock: null,
+    ...fields
+  };
+  menuItems.set(String(doc._id), doc);
+  return doc;
+};
+
+const storeIngredient = (fields) => {
+  const doc = { _id: new mongoose.Types.ObjectId(), ...fields };
+  ingredients.set(String(doc._id), doc);
+  return doc;
+};
+
+const current = (doc) => (menuItems.get(String(doc._id)) || ingredients.get(String(doc._id)));
+
+// Applies `$inc: { stock }` unless the count would go below zero or is not tracked
+const stockUpdate = (store, Model) => async (filter, update) => {
+  const doc = store.get(String(filter._id));
+  const change = update.$inc.stock;
+  if (!doc || typeof doc.stock !== 'number' || doc.stock + change < 0) {
+    return null;
+  }
+  doc.stock += change;
+  return Model.hydrate({ ...doc });
+};
+
+const hasIngredient = (doc, names) => doc.ingredients.some(name => names.includes(name.toLowerCase()));
+
+before(() => {
+  mock.method(MenuItem, 'find', (filter) => {
+    const ids = (filter._id || filter.$or[0]._id).$in.map(String);
+    const names = filter.$or?.[1].ingredients.$in || [];
+    const found = [...menuItems.values()].filter(doc => ids.includes(String(doc._id)) || hasIngredient(doc, names));
+    return query(found.map(doc => MenuItem.hydrate({ ...doc })));
+  });
+  mock.method(MenuItem, 'findById', (id) => query(MenuItem.hydrate({ ...menuItems.get(String(id)) })));
+  mock.method(MenuItem, 'findOneAndUpdate', stockUpdate(menuItems, MenuItem));
+  mock.method(MenuItem, 'updateOne', async (filter, update) => {
+    const doc = menuItems.get(String(filter._id));
+    const matches = Object.entries(filter).every(([key, value]) => key === '_id' || doc[key] === value);
+    if (matches) {
+      Object.assign(doc, update);
+    }
+    return { modifiedCount: matches ? 1 : 0 };
+  });
+
+  mock.method(Ingredient, 'find', (filter) => {
+    const found = [...ingredients.values()].filter(doc =>
+      filter.name.$in.includes(doc.name) && (!filter.stock || doc.stock <= filter.stock.$lte));
+    return query(found.map(doc => Ingredient.hydrate({ ...doc })));
+  });
+  mock.method(Ingredient, 'findById', (id) => query(Ingredient.hydrate({ ...ingredients.get(String(id)) })));
+  mock.method(Ingredient, 'findOneAndUpdate', stockUpdate(ingredients, Ingredient));
+
+  mock.method(StockMovement, 'create', async (movement) => {
+    movements.push(movement);
+    return movement;
+  });
+
+  // Low-stock alerts are queued but never sent
+  mock.method(Notification, 'create', async (notification) => {
+    alerts.push(notification);
+    return notification;
+  });
+  mock.method(Notification, 'findOneAndUpdate', async () => null);
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  menuItems.clear();
+  ingredients.clear();
+  movements = [];
+  alerts = [];
+});
+
+describe('reserveStock', () => {
+  test('takes menu item units and one ingredient portion per unit', async () => {
+    const paneer = storeIngredient({ name: 'paneer', stock: 20 });
+    const tikka = storeMenuItem({ name: 'Paneer Tikka', stock: 10, ingredients: ['Paneer'] });
+    const roll = storeMenuItem({ name: 'Paneer Roll', ingredients: ['paneer', 'Paneer'] });
+    const order = new mongoose.Types.ObjectId();
+
+    const usage = await reserveStock([
+      { menuItem: tikka._id, quantity: 2 },
+      { menuItem: roll._id, quantity: 1 },
+      { menuItem: tikka._id, quantity: 1 }
+    ], { order });
+
+    assert.deepEqual(usage.map(entry => [entry.kind, entry.name, entry.quantity]), [
+      ['menu-item', 'Paneer Tikka', 3],
+      ['ingredient', 'paneer', 4]
+    ]);
+    assert.equal(current(tikka).stock, 7);
+    assert.equal(current(paneer).stock, 16);
+    assert.deepEqual(movements.map(movement => [movement.name, movement.change, movement.stockAfter, movement.reason]), [
+      ['Paneer Tikka', -3, 7, 'order'],
+      ['paneer', -4, 16, 'order']
+    ]);
+    assert.equal(movements[0].order, order);
+  });
+
+  test('items without tracked stock need nothing', async () => {
+    const chai = storeMenuItem({ name: 'Masala Chai', ingredients: ['tea'] });
+
+    assert.deepEqual(await reserveStock([{ menuItem: chai._id, quantity: 2 }]), []);
+    assert.deepEqual(movements, []);
+  });
+
+  test('takes nothing when part of the order is short', async () => {
+    const paneer = storeIngredient({ name: 'paneer', stock: 2 });
+    const tikka = storeMenuItem({ name: 'Paneer Tikka', stock: 10, ingredients: ['paneer'] });
+
+    await assert.rejects(
+      reserveStock([{ menuItem: tikka._id, quantity: 3 }]),
+      { name: 'StockError', message: 'Not enough paneer left to make this order' }
+    );
+    assert.equal(current(tikka).stock, 10);
+    assert.equal(current(paneer).stock, 2);
+    assert.deepEqual(movements.map(movement => [movement.change, movement.reason]), [[-3, 'order'], [3, 'correction']]);
+  });
+
+  test('says how many are left when a menu item is short', async () => {
+    const samosa = storeMenuItem({ name: 'Samosa', stock: 2 });
+
+    await assert.rejects(
+      reserveStock([{ menuItem: samosa._id, quantity: 3 }]),
+      { name: 'StockError', message: 'Only 2 "Samosa" left in stock' }
+    );
+  });
+
+  test('queues one low-stock alert and switches off an item that runs out', async () => {
+    const samosa = storeMenuItem({ name: 'Samosa', stock: 8 });
+
+    await reserveStock([{ menuItem: samosa._id, quantity: 2 }]);
+    assert.equal(alerts.length, 0);
+
+    await reserveStock([{ menuItem: samosa._id, quantity: 1 }]);
+    await reserveStock([{ menuItem: samosa._id, quantity: 5 }]);
+    assert.deepEqual(alerts.map(alert => alert.type), ['low-stock']);
+    assert.equal(current(samosa).isAvailable, false);
+    assert.equal(current(samosa).outOfStock, true);
+
+    // Let the queued send attempt run while Notification is still mocked
+    await new Promise(resolve => setImmediate(resolve));
+  });
+});
+
+describe('changeStockUsage', () => {
+  test('takes only the extra stock an order now needs and gives back the rest', async () => {
+    const samosa = storeMenuItem({ name: 'Samosa', stock: 20 });
+    const dhokla = storeMenuItem({ name: 'Dhokla', stock: 20 });
+    const previous = await reserveStock([
+      { menuItem: samosa._id, quantity: 2 },
+      { menuItem: dhokla._id, quantity: 4 }
+    ]);
+    movements = [];
+
+    const usage = await changeStockUsage(previous, [{ menuItem: samosa._id, quantity: 5 }]);
+
+    assert.deepEqual(usage.map(entry => [entry.name, entry.quantity]), [['Samosa', 5]]);
+    assert.equal(current(samosa).stock, 15);
+    assert.equal(current(dhokla).stock, 20);
+    assert.deepEqual(movements.map(movement => [movement.name, movement.change, movement.reason]), [
+      ['Samosa', -3, 'order-change'],
+      ['Dhokla', 4, 'order-change']
+    ]);
+  });
+
+  test('leaves stock alone when the order needs more than is left', async () => {
+    const samosa = storeMenuItem({ name: 'Samosa', stock: 3 });
+    const previous = await reserveStock([{ menuItem: samosa._id, quantity: 2 }]);
+
+    await assert.rejects(
+      changeStockUsage(previous, [{ menuItem: samosa._id, quantity: 5 }]),
+      { name: 'StockError', message: 'Only 1 "Samosa" left in stock' }
+    );
+    assert.equal(current(samosa).stock, 1);
+  });
+});
+
+describe('releaseStock', () => {
+  test('puts back everything an order held and switches restocked items back on', async () => {
+    const samosa = storeMenuItem({ name: 'Samosa', stock: 2 });
+    const usage = await reserveStock([{ menuItem: samosa._id, quantity: 2 }]);
+    assert.equal(current(samosa).isAvailable, false);
+    movements = [];
+
+    await releaseStock(usage);
+
+    assert.equal(current(samosa).stock, 2);
+    assert.equal(current(samosa).isAvailable, true);
+    assert.deepEqual(movements.map(movement => [movement.change, movement.reason]), [[2, 'cancellation']]);
+  });
+
+  test('keeps an item switched off by staff off', async () => {
+    const samosa = storeMenuItem({ name: 'Samosa', stock: 2, isAvailable: false });
+    const usage = await reserveStock([{ menuItem: samosa._id, quantity: 2 }]);
+
+    await releaseStock(usage);
+
+    assert.equal(current(samosa).isAvailable, false);
+  });
+});
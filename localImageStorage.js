@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Stores uploads on the server's disk; server.js serves uploadDir() under /uploads.
+// Fine for a single server; use another adapter when running several instances.
+
+// Read when used, not on import, so a value from .env is picked up
+export const uploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const publicUrl = (key) => `${process.env.UPLOAD_BASE_URL || '/uploads'}/${key}`;
+
+// Keys are generated by us, but never let one point outside the upload directory
+const filePath = (key) => {
+  const root = uploadDir();
+  const resolved = path.resolve(root, key);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return resolved;
+};
+
+const localImageStorage = {
+  name: 'local',
+
+  async save(key, buffer) {
+    const target = filePath(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return { key, url: publicUrl(key) };
+  },
+
+  async remove(key) {
+    try {
+      await fs.unlink(filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+};
+
+export default localImageStorage;
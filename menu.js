@@ -1,41 +1,176 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
 import MenuItem from '../models/MenuItem.js';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import MenuItemRevision, { REVISION_FIELDS } from '../models/MenuItemRevision.js';
+import { authenticateToken, ownsOrder, requireRole } from './auth.js';
+import { maxImageBytes, IMAGE_MIME_TYPES, storeMenuItemImage, removeMenuItemImage } from '../utils/imageService.js';
+import { getMenuSchedules, menuItemAvailability, formatAvailableFrom } from '../utils/scheduleService.js';
+import { scoreMenuItem, buildMenuFilters, applyMenuFilters, menuFacets } from '../utils/menuSearch.js';
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  menuItemsToCsv,
+  parseMenuCsv,
+  parseMenuJson,
+  slugify,
+  toImportObject
+} from '../utils/menuTransfer.js';
+import { cafeDateString } from '../utils/cafeTime.js';
 
 const router = express.Router();
 
-// GET /api/menu - Get all menu items
+// Menu item plus whether it can be ordered now and, if not, from when ("available from 11:00")
+const withAvailability = (menuItem, menuSchedules, now) => {
+  const { availableNow, availableFrom } = menuItem.archivedAt
+    ? { availableNow: false, availableFrom: null }
+    : menuItemAvailability(menuItem, menuSchedules, now);
+  return {
+    ...menuItem.toObject(),
+    availableNow,
+    availableFrom,
+    availableFromLabel: availableFrom ? formatAvailableFrom(availableFrom, now) : null
+  };
+};
+
+// Fields the API maintains itself: stock only changes through /api/inventory so every change
+// lands in the audit log, and ratings are calculated from approved reviews
+const STOCK_MESSAGE = 'Set stock with POST /api/inventory/adjustments';
+const RATING_MESSAGE = 'Ratings are calculated from customer reviews';
+const PROTECTED_FIELDS = {
+  stock: STOCK_MESSAGE,
+  outOfStock: STOCK_MESSAGE,
+  rating: RATING_MESSAGE,
+  ratingCount: RATING_MESSAGE,
+  ratingTotal: RATING_MESSAGE,
+  uploadedImage: 'Upload images with POST /api/menu/:id/image',
+  archivedAt: 'Archive with DELETE /api/menu/:id and restore with POST /api/menu/:id/restore',
+  archivedBy: 'Archive with DELETE /api/menu/:id and restore with POST /api/menu/:id/restore'
+};
+
+// The protected field a request body tries to set, including through dotted paths like "archivedBy.email"
+const protectedFieldIn = (body) => Object.keys(body)
+  .map(key => key.split('.')[0])
+  .find(field => Object.hasOwn(PROTECTED_FIELDS, field));
+
+const staffMember = (user) => ({
+  userId: user.userId,
+  email: user.email,
+  role: user.role
+});
+
+// Keep a revision whenever a tracked field changed between `before` and the saved item
+const recordRevision = async (savedItem, before, lastChangedAt, changedBy) => {
+  const changedFields = REVISION_FIELDS.filter(field => before[field] !== savedItem[field]);
+  if (changedFields.length === 0) {
+    return;
+  }
+
+  // Items created before revisions were kept: record the old values first, as of their last change
+  if (!(await MenuItemRevision.exists({ menuItem: savedItem._id }))) {
+    await MenuItemRevision.record({ _id: savedItem._id, ...before }, { effectiveFrom: lastChangedAt });
+  }
+  await MenuItemRevision.record(savedItem, {
+    changedFields,
+    changedBy,
+    effectiveFrom: savedItem.updatedAt
+  });
+};
+
+// Keep uploads in memory; they are resized before anything is written to storage
+const upload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImageBytes(), files: 1 },
+  fileFilter: (req, file, cb) => cb(null, IMAGE_MIME_TYPES.includes(file.mimetype))
+});
+
+// Single "image" field, with multer's errors turned into our JSON responses
+const uploadImage = (req, res, next) => upload().single('image')(req, res, (error) => {
+  if (!error) {
+    return next();
+  }
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      message: `Image must be at most ${Math.floor(maxImageBytes() / (1024 * 1024))} MB`
+    });
+  }
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: 'Send one image in the "image" form field'
+    });
+  }
+  next(error);
+});
+
+// Optional non-negative number from the query string; NaN marks an invalid value
+const numberParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+};
+
+// GET /api/menu - Search and filter menu items, with facet counts for the filter sidebar
+// (?showUpcoming=true also lists items outside their schedule)
 router.get('/', async (req, res) => {
   try {
-    const { category, search, page = 1, limit = 20 } = req.query;
-
-    const query = { isAvailable: true };
+    const { category, search, page = 1, limit = 20, showUpcoming, isVeg } = req.query;
 
-    // Filter by category
-    if (category && category !== 'all') {
-      query.category = category;
+    const numbers = {
+      minPrice: numberParam(req.query.minPrice),
+      maxPrice: numberParam(req.query.maxPrice),
+      minRating: numberParam(req.query.minRating),
+      maxPreparationTime: numberParam(req.query.maxPreparationTime)
+    };
+    const invalid = Object.keys(numbers).filter(name => Number.isNaN(numbers[name]));
+    if (invalid.length > 0 || (isVeg !== undefined && !['true', 'false'].includes(isVeg))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid filter values',
+        errors: [
+          ...invalid.map(name => `${name} must be a non-negative number`),
+          ...(isVeg !== undefined && !['true', 'false'].includes(isVeg) ? ['isVeg must be true or false'] : [])
+        ]
+      });
     }
 
-    // Search functionality
-    if (search) {
-      const searchTerm = new RegExp(search, 'i');
-      query.$or = [
-        { name: searchTerm },
-        { description: searchTerm }
-      ];
+    // One or more categories, e.g. ?category=coffee,tea
+    const categories = category && category !== 'all' ? String(category).split(',') : [];
+    const filters = buildMenuFilters({
+      categories,
+      isVeg: isVeg === undefined ? undefined : isVeg === 'true',
+      ...numbers
+    });
+
+    // Search, schedules and filters are applied in code over the whole (small) menu before paginating
+    const now = new Date();
+    const menuSchedules = await getMenuSchedules();
+    let matching = (await MenuItem.find({ isAvailable: true, archivedAt: null }).sort({ rating: -1 })) // optional: highest rated first
+      .map(menuItem => withAvailability(menuItem, menuSchedules, now))
+      .filter(item => item.availableNow || (showUpcoming === 'true' && item.availableFrom));
+
+    // Most relevant first; the sort keeps rating order among equal scores
+    if (typeof search === 'string' && search.trim()) {
+      const query = search.trim().slice(0, 100);
+      matching = matching
+        .map(item => ({ ...item, relevance: scoreMenuItem(item, query) }))
+        .filter(item => item.relevance > 0)
+        .sort((a, b) => b.relevance - a.relevance);
     }
 
-    // Count total matching items
-    const total = await MenuItem.countDocuments(query);
+    const facets = menuFacets(matching, filters);
+    const filtered = applyMenuFilters(matching, filters);
 
-    // Fetch paginated data from MongoDB
-    const items = await MenuItem.find(query)
-      .sort({ rating: -1 }) // optional: highest rated first
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
+    const total = filtered.length;
+    const items = filtered.slice((page - 1) * limit, page * limit);
 
     res.json({
       success: true,
       data: items,
+      facets,
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -56,7 +191,7 @@ router.get('/', async (req, res) => {
 // GET /api/menu/categories - Get all categories
 router.get('/categories', async (req, res) => {
   try {
-    const categories = await MenuItem.distinct('category', { isAvailable: true });
+    const categories = await MenuItem.distinct('category', { isAvailable: true, archivedAt: null });
     
     res.json({
       success: true,
@@ -72,7 +207,249 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// GET /api/menu/:id - Get single menu item
+// GET /api/menu/export?format=csv|json - Download the menu for editing and re-import (admin only)
+router.get('/export', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { format = 'json', includeArchived } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const query = includeArchived === 'true' ? {} : { archivedAt: null };
+    const menuItems = await MenuItem.find(query).sort({ category: 1, name: 1 });
+
+    const filename = `menu-${cafeDateString()}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(menuItemsToCsv(menuItems));
+    }
+
+    res.json({
+      success: true,
+      data: menuItems.map(toImportObject)
+    });
+
+  } catch (error) {
+    console.error('Export menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/menu/import - Create or update items by SKU from CSV (text/csv) or JSON; ?dryRun=true only validates.
+// Either every row is applied or none is. (admin only)
+router.post('/import', authenticateToken, requireRole('admin', 'manager'), express.text({ type: 'text/csv', limit: '2mb' }), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const rows = typeof req.body === 'string'
+      ? parseMenuCsv(req.body)
+      : parseMenuJson(Array.isArray(req.body) ? req.body : req.body.items);
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `An import needs between 1 and ${MAX_IMPORT_ROWS} items`
+      });
+    }
+
+    for (const entry of rows) {
+      entry.skuGiven = Boolean(entry.fields.sku);
+      entry.fields.sku = String(entry.fields.sku || slugify(entry.fields.name)).trim().toLowerCase();
+    }
+
+    // Match rows to existing items by SKU; items saved before SKUs existed match on a slug of their name
+    const skus = rows.map(({ fields }) => fields.sku);
+    const bySku = new Map((await MenuItem.find({ sku: { $in: skus } })).map(item => [item.sku, item]));
+    for (const item of await MenuItem.find({ sku: null, archivedAt: null })) {
+      if (!bySku.has(slugify(item.name))) bySku.set(slugify(item.name), item);
+    }
+
+    // Validate every row against the MenuItem schema before writing anything
+    const plan = [];
+    const errors = [];
+    const seen = new Set();
+    for (const { row, fields, skuGiven } of rows) {
+      if (!fields.sku) {
+        errors.push({ row, errors: ['sku or name is required'] });
+        continue;
+      }
+      if (seen.has(fields.sku)) {
+        errors.push({ row, sku: fields.sku, errors: [`SKU "${fields.sku}" appears more than once`] });
+        continue;
+      }
+      seen.add(fields.sku);
+
+      let existing = bySku.get(fields.sku);
+      if (existing?.archivedAt) {
+        if (skuGiven) {
+          errors.push({ row, sku: fields.sku, errors: [`SKU "${fields.sku}" belongs to an archived item; restore it first`] });
+          continue;
+        }
+        // Same name as an archived item: a new item, which gets its own SKU
+        existing = null;
+        delete fields.sku;
+      }
+      const menuItem = existing || new MenuItem();
+      const original = existing ? toImportObject(existing) : null;
+      const before = Object.fromEntries(REVISION_FIELDS.map(field => [field, menuItem[field]]));
+      const lastChangedAt = menuItem.updatedAt;
+
+      try {
+        menuItem.set(fields);
+        await menuItem.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors.push({ row, sku: fields.sku, errors: Object.values(error.errors).map(err => err.message) });
+        continue;
+      }
+
+      const action = !existing ? 'create' : menuItem.isModified() ? 'update' : 'unchanged';
+      plan.push({ row, menuItem, original, before, lastChangedAt, action });
+    }
+
+    const summary = {
+      create: plan.filter(entry => entry.action === 'create').length,
+      update: plan.filter(entry => entry.action === 'update').length,
+      unchanged: plan.filter(entry => entry.action === 'unchanged').length,
+      invalid: errors.length
+    };
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import has errors; nothing was changed',
+        errors,
+        summary
+      });
+    }
+
+    const rowResults = plan.map(({ row, menuItem, action }) => ({ row, sku: menuItem.sku, name: menuItem.name, action }));
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run: no changes were made',
+        data: { dryRun: true, summary, rows: rowResults }
+      });
+    }
+
+    // No multi-document transactions on a standalone MongoDB, so undo the rows already written if one fails
+    const written = [];
+    try {
+      for (const entry of plan.filter(({ action }) => action !== 'unchanged')) {
+        await entry.menuItem.save();
+        written.push(entry);
+      }
+    } catch (writeError) {
+      // Put back only what the import wrote, and only where nothing else (an order taking stock,
+      // another admin) has changed the item since; stock, ratings and archiving are left alone
+      for (const { menuItem, original, lastChangedAt } of written) {
+        try {
+          if (original) {
+            const unset = IMPORT_FIELDS.filter(field => original[field] === undefined);
+            const restored = await MenuItem.updateOne(
+              { _id: menuItem._id, updatedAt: menuItem.updatedAt },
+              {
+                $set: { ...original, updatedAt: lastChangedAt },
+                ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(field => [field, ''])) })
+              }
+            );
+            if (restored.matchedCount === 0) {
+              console.error(`Import rollback skipped "${menuItem.sku}": it was changed during the import`);
+            }
+          } else {
+            await MenuItem.deleteOne({ _id: menuItem._id });
+          }
+        } catch (rollbackError) {
+          console.error(`Import rollback failed for "${menuItem.sku}":`, rollbackError);
+        }
+      }
+      throw writeError;
+    }
+
+    const changedBy = staffMember(req.user);
+    for (const { menuItem, before, lastChangedAt, action } of written) {
+      if (action === 'create') {
+        await MenuItemRevision.record(menuItem, { changedBy, effectiveFrom: menuItem.createdAt });
+      } else {
+        await recordRevision(menuItem, before, lastChangedAt, changedBy);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${summary.create} new and ${summary.update} updated menu item(s)`,
+      data: { dryRun: false, summary, rows: rowResults }
+    });
+
+  } catch (error) {
+    console.error('Import menu error:', error);
+
+    if (error.name === 'ImportError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A menu item with one of these SKUs was created meanwhile; nothing was changed. Please try again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/menu/archived - Archived menu items (admin only)
+router.get('/archived', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { archivedAt: { $ne: null } };
+
+    const items = await MenuItem.find(query)
+      .sort({ archivedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await MenuItem.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get archived menu items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/menu/:id - Get single menu item (archived items too, so old orders can link to them)
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -88,7 +465,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: menuItem
+      data: withAvailability(menuItem, await getMenuSchedules(), new Date())
     });
 
   } catch (error) {
@@ -101,11 +478,24 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/menu - Create new menu item (admin only)
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
+    const protectedField = protectedFieldIn(req.body);
+    if (protectedField) {
+      return res.status(400).json({
+        success: false,
+        message: PROTECTED_FIELDS[protectedField]
+      });
+    }
+
     const menuItem = new MenuItem(req.body);
     const savedItem = await menuItem.save();
 
+    await MenuItemRevision.record(savedItem, {
+      changedBy: staffMember(req.user),
+      effectiveFrom: savedItem.createdAt
+    });
+
     res.status(201).json({
       success: true,
       message: 'Menu item created successfully',
@@ -114,7 +504,14 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     console.error('Create menu item error:', error);
-    
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another menu item already uses this SKU'
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -132,15 +529,20 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/menu/:id - Update menu item (admin only)
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const menuItem = await MenuItem.findByIdAndUpdate(
-      id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+
+    const protectedField = protectedFieldIn(req.body);
+    if (protectedField) {
+      return res.status(400).json({
+        success: false,
+        message: PROTECTED_FIELDS[protectedField]
+      });
+    }
+
+    // Load and save (rather than findByIdAndUpdate) so the option group and schedule checks run
+    const menuItem = await MenuItem.findById(id);
 
     if (!menuItem) {
       return res.status(404).json({
@@ -149,15 +551,40 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // A new external image URL replaces any uploaded one
+    const replacedUpload = 'image' in req.body && menuItem.uploadedImage?.storage ? menuItem.toObject().uploadedImage : null;
+    if (replacedUpload) {
+      menuItem.uploadedImage = undefined;
+    }
+
+    const before = Object.fromEntries(REVISION_FIELDS.map(field => [field, menuItem[field]]));
+    const lastChangedAt = menuItem.updatedAt;
+
+    menuItem.set(req.body);
+    const savedItem = await menuItem.save();
+
+    if (replacedUpload) {
+      await removeMenuItemImage(replacedUpload);
+    }
+
+    await recordRevision(savedItem, before, lastChangedAt, staffMember(req.user));
+
     res.json({
       success: true,
       message: 'Menu item updated successfully',
-      data: menuItem
+      data: savedItem
     });
 
   } catch (error) {
     console.error('Update menu item error:', error);
-    
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another menu item already uses this SKU'
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -174,12 +601,20 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/menu/:id - Delete menu item (admin only)
-router.delete('/:id', async (req, res) => {
+// DELETE /api/menu/:id - Archive a menu item; it leaves the menu but past orders keep their link (admin only)
+router.delete('/:id', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const menuItem = await MenuItem.findByIdAndDelete(id);
+
+    const menuItem = await MenuItem.findOneAndUpdate(
+      { _id: id, archivedAt: null },
+      {
+        archivedAt: new Date(),
+        archivedBy: { userId: req.user.userId, email: req.user.email },
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
 
     if (!menuItem) {
       return res.status(404).json({
@@ -190,7 +625,7 @@ router.delete('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Menu item deleted successfully'
+      message: 'Menu item archived successfully'
     });
 
   } catch (error) {
@@ -202,4 +637,356 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/menu/:id/restore - Put an archived item back on the menu (admin only)
+router.post('/:id/restore', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const menuItem = await MenuItem.findOneAndUpdate(
+      { _id: id, archivedAt: { $ne: null } },
+      { archivedAt: null, $unset: { archivedBy: 1 }, updatedAt: new Date() },
+      { new: true }
+    ).select('-__v');
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'No archived menu item with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu item restored successfully',
+      data: menuItem
+    });
+
+  } catch (error) {
+    console.error('Restore menu item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// DELETE /api/menu/:id/permanent - Remove an archived item that was never ordered, with its images (admin only)
+router.delete('/:id/permanent', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID'
+      });
+    }
+
+    if (await Order.exists({ 'items.menuItem': id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This item appears on past orders, so it can only be archived'
+      });
+    }
+
+    const menuItem = await MenuItem.findOneAndDelete({ _id: id, archivedAt: { $ne: null } });
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'No archived menu item with this ID. Archive it first.'
+      });
+    }
+
+    await MenuItemRevision.deleteMany({ menuItem: menuItem._id });
+    await removeMenuItemImage(menuItem.uploadedImage);
+
+    res.json({
+      success: true,
+      message: 'Menu item deleted permanently'
+    });
+
+  } catch (error) {
+    console.error('Permanently delete menu item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/menu/:id/revisions - Name, description, price and category history; ?at=<date> gives the version in effect then (admin only)
+router.get('/:id/revisions', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { at } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID'
+      });
+    }
+
+    if (at !== undefined) {
+      const when = new Date(at);
+      if (Number.isNaN(when.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'at must be a date, e.g. 2026-03-15'
+        });
+      }
+
+      const revision = await MenuItemRevision.findOne({ menuItem: id, effectiveFrom: { $lte: when } })
+        .sort({ effectiveFrom: -1, version: -1 })
+        .select('-__v');
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'No recorded version of this item at that time'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: revision
+      });
+    }
+
+    const revisions = await MenuItemRevision.find({ menuItem: id })
+      .sort({ version: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Get menu item revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/menu/:id/image - Upload a JPEG, PNG or WebP photo as multipart "image" (admin only)
+router.post('/:id/image', authenticateToken, requireRole('admin', 'manager'), uploadImage, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A JPEG, PNG or WebP file in the "image" field is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID'
+      });
+    }
+
+    const menuItem = await MenuItem.findById(id).select('uploadedImage');
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    const previous = menuItem.toObject().uploadedImage;
+    const stored = await storeMenuItemImage(menuItem._id, req.file.buffer);
+
+    const updatedItem = await MenuItem.findByIdAndUpdate(
+      id,
+      {
+        image: stored.card.url,
+        uploadedImage: { ...stored, uploadedAt: new Date() },
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    // Same file uploaded again keeps the same keys; only remove files that are no longer used
+    if (previous?.card?.key !== stored.card.key) {
+      await removeMenuItemImage(previous);
+    }
+
+    res.json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: {
+        image: updatedItem.image,
+        thumbnail: updatedItem.uploadedImage.thumbnail.url
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload menu image error:', error);
+
+    if (error.name === 'ImageError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/menu/:id/reviews - Approved reviews for a menu item, newest first
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID'
+      });
+    }
+
+    const menuItem = await MenuItem.findById(id).select('name rating ratingCount');
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    const query = { menuItem: id, status: 'approved' };
+
+    const reviews = await Review.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('customer.name rating comment createdAt');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rating: menuItem.rating,
+        ratingCount: menuItem.ratingCount,
+        reviews
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/menu/:id/reviews - Review an item from one of your delivered orders
+router.post('/:id/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { orderNumber, rating, comment } = req.body;
+
+    if (!orderNumber || rating === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order number and rating are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID'
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber: String(orderNumber) });
+    if (!order || !ownsOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Order details do not match our records'
+      });
+    }
+
+    if (order.status !== 'delivered') {
+      return res.status(409).json({
+        success: false,
+        message: 'You can review items once your order has been delivered'
+      });
+    }
+
+    if (!order.items.some(item => String(item.menuItem) === id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is not part of the order'
+      });
+    }
+
+    const review = await Review.create({
+      menuItem: id,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: {
+        name: order.customer.name,
+        email: order.customer.email
+      },
+      rating,
+      comment: typeof comment === 'string' ? comment : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been approved.',
+      data: {
+        id: review._id,
+        rating: review.rating,
+        comment: review.comment,
+        status: review.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this item for this order'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Admin menu edits through the menu router. Nothing reaches MongoDB: the tests only cover
+// requests that must be refused before a menu item is loaded or saved.
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import MenuItem from '../models/MenuItem.js';
+import menuRoutes from '../routes/menu.js';
+
+let server;
+let baseUrl;
+
+const adminToken = jwt.sign(
+  { userId: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin', tokenVersion: 0 },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { jwtid: crypto.randomUUID() }
+);
+
+const send = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}/api/menu${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(() => {
+  mock.method(RevokedToken, 'exists', async () => null);
+  mock.method(User, 'findById', () => ({
+    select: async () => ({ tokenVersion: 0, isActive: true })
+  }));
+  mock.method(MenuItem, 'findById', async () => {
+    throw new Error('menu item should not be loaded');
+  });
+  mock.method(MenuItem.prototype, 'save', async () => {
+    throw new Error('menu item should not be saved');
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/menu', menuRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('fields with their own endpoints', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  for (const [field, value] of [
+    ['stock', 5],
+    ['ratingCount', 100],
+    ['uploadedImage.storage', 'local'],
+    ['archivedBy.email', 'someone@example.com'],
+    ['archivedAt', null]
+  ]) {
+    test(`"${field}" cannot be set through PUT /api/menu/:id`, async () => {
+      const { status } = await send('PUT', `/${id}`, { name: 'Masala Chai', [field]: value });
+      assert.equal(status, 400);
+    });
+  }
+
+  test('a dotted path is refused on create with the field\'s own message', async () => {
+    const { status, body } = await send('POST', '/', {
+      name: 'Masala Chai',
+      price: 40,
+      category: 'tea',
+      'uploadedImage.key': 'menu/chai.webp'
+    });
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Upload images with POST /api/menu/:id/image');
+  });
+});
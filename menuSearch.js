@@ -0,0 +1,157 @@
+// In-process search over the menu. The menu is small enough to score every item per request,
+// which lets us match typos ("masla chai") and plurals ("samosas") without building regexes
+// from user input.
+
+// How much a match in each field counts towards an item's relevance
+const FIELD_WEIGHTS = {
+  name: 3,
+  ingredients: 2,
+  category: 2,
+  description: 1
+};
+
+export const PRICE_BUCKETS = [
+  { label: 'Under ₹50', min: 0, max: 50 },
+  { label: '₹50 - ₹100', min: 50, max: 100 },
+  { label: '₹100 - ₹200', min: 100, max: 200 },
+  { label: '₹200 and above', min: 200, max: null }
+];
+export const RATING_STEPS = [4.5, 4, 3];
+export const PREPARATION_TIME_STEPS = [10, 20, 30];
+
+// Lowercase, drop accents and punctuation, and strip a plural "s" so "Samosas" → "samosa"
+const normalizeWord = (word) => {
+  const plain = word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  return plain.length > 3 && plain.endsWith('s') && !plain.endsWith('ss') ? plain.slice(0, -1) : plain;
+};
+
+export const tokenize = (text = '') => String(text)
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .map(normalizeWord);
+
+// Edit distance (insertions, deletions, substitutions and swapped neighbours), giving up above `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// Typos allowed for a query word: none for short words, one up to 7 letters, two beyond
+const allowedTypos = (word) => (word.length <= 3 ? 0 : word.length <= 7 ? 1 : 2);
+
+// How well one query word matches one word of the item, from 0 (no match) to 1 (exact)
+const wordScore = (queryWord, word) => {
+  if (queryWord === word) return 1;
+  if (queryWord.length >= 3 && word.startsWith(queryWord)) return 0.8;
+
+  const typos = allowedTypos(queryWord);
+  if (typos === 0) return 0;
+  const distance = editDistance(queryWord, word, typos);
+  return distance <= typos ? 0.7 - 0.2 * (distance - 1) : 0;
+};
+
+const searchableFields = (menuItem) => ({
+  name: tokenize(menuItem.name),
+  ingredients: tokenize((menuItem.ingredients || []).join(' ')),
+  category: tokenize(menuItem.category),
+  description: tokenize(menuItem.description)
+});
+
+/**
+ * Relevance of a menu item for a search string; 0 when some query word matches nothing.
+ * Each query word takes its best weighted match across the fields.
+ */
+export const scoreMenuItem = (menuItem, search) => {
+  const queryWords = tokenize(search);
+  if (queryWords.length === 0) return 0;
+
+  const fields = searchableFields(menuItem);
+  let score = 0;
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of words) {
+        best = Math.max(best, FIELD_WEIGHTS[field] * wordScore(queryWord, word));
+      }
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  // Whole query found in the name, e.g. "masala chai"
+  if (fields.name.join(' ').includes(queryWords.join(' '))) {
+    score += FIELD_WEIGHTS.name;
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Sidebar filters, each as a predicate so facet counts can leave their own filter out
+ * (choosing "coffee" should still show how many teas there are).
+ */
+export const buildMenuFilters = ({ categories, isVeg, minPrice, maxPrice, minRating, maxPreparationTime }) => {
+  const filters = {};
+  if (categories?.length) filters.category = item => categories.includes(item.category);
+  if (isVeg !== undefined) filters.isVeg = item => item.isVeg === isVeg;
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = item => (minPrice === undefined || item.price >= minPrice) && (maxPrice === undefined || item.price <= maxPrice);
+  }
+  if (minRating !== undefined) filters.rating = item => item.rating >= minRating;
+  if (maxPreparationTime !== undefined) {
+    filters.preparationTime = item => item.preparationTime != null && item.preparationTime <= maxPreparationTime;
+  }
+  return filters;
+};
+
+const passes = (item, filters, except) => Object.entries(filters)
+  .every(([name, predicate]) => name === except || predicate(item));
+
+// Facet counts for the filter sidebar over items that already match the search
+export const menuFacets = (items, filters) => {
+  const count = (facet, predicate) => items.filter(item => passes(item, filters, facet) && predicate(item)).length;
+
+  const categories = {};
+  for (const item of items.filter(item => passes(item, filters, 'category'))) {
+    categories[item.category] = (categories[item.category] || 0) + 1;
+  }
+
+  return {
+    category: categories,
+    isVeg: {
+      true: count('isVeg', item => item.isVeg),
+      false: count('isVeg', item => !item.isVeg)
+    },
+    price: PRICE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: count('price', item => item.price >= bucket.min && (bucket.max === null || item.price < bucket.max))
+    })),
+    rating: RATING_STEPS.map(min => ({ min, count: count('rating', item => item.rating >= min) })),
+    preparationTime: PREPARATION_TIME_STEPS.map(max => ({
+      max,
+      count: count('preparationTime', item => item.preparationTime != null && item.preparationTime <= max)
+    }))
+  };
+};
+
+export const applyMenuFilters = (items, filters) => items.filter(item => passes(item, filters));
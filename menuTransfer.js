@@ -0,0 +1,180 @@
+// Reading and writing menu items for bulk import / export (GET /api/menu/export, POST /api/menu/import)
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+export const MAX_IMPORT_ROWS = 500;
+
+// Fields an import may set. Stock, ratings, image uploads and archiving have their own endpoints.
+export const IMPORT_FIELDS = [
+  'sku', 'name', 'description', 'price', 'category', 'image', 'isVeg', 'isPopular', 'isAvailable',
+  'ingredients', 'nutritionalInfo', 'preparationTime', 'lowStockThreshold',
+  'variantGroups', 'modifierGroups', 'schedule'
+];
+
+// CSV holds the flat fields only; option groups and schedules need the JSON format
+export const CSV_COLUMNS = [
+  'sku', 'name', 'description', 'price', 'category', 'image', 'isVeg', 'isPopular', 'isAvailable',
+  'ingredients', 'preparationTime', 'calories', 'protein', 'carbs', 'fat'
+];
+
+const NUTRITION_COLUMNS = ['calories', 'protein', 'carbs', 'fat'];
+const BOOLEAN_COLUMNS = ['isVeg', 'isPopular', 'isAvailable'];
+const NUMBER_COLUMNS = ['price', 'preparationTime'];
+
+// "Masala Chai (Large)" → "masala-chai-large"
+export const slugify = (text = '') => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// A stored menu item in the shape the JSON import accepts
+export const toImportObject = (menuItem) => pick(menuItem.toObject(), IMPORT_FIELDS);
+
+// --- CSV (RFC 4180: quoted fields may contain commas, quotes and newlines) ---
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const menuItemsToCsv = (menuItems) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const menuItem of menuItems) {
+    const item = menuItem.toObject();
+    const row = {
+      ...item,
+      ingredients: (item.ingredients || []).join('; '),
+      ...pick(item.nutritionalInfo || {}, NUTRITION_COLUMNS)
+    };
+    lines.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportError('CSV has an unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Values that look wrong are passed through as text so the schema reports them per row
+const csvValue = (column, raw) => {
+  const value = raw.trim().replace(/^'(?=[=+\-@])/, '');
+  if (value === '') return undefined;
+
+  if (BOOLEAN_COLUMNS.includes(column)) {
+    const lower = value.toLowerCase();
+    if (['true', 'yes', '1'].includes(lower)) return true;
+    if (['false', 'no', '0'].includes(lower)) return false;
+    return value;
+  }
+  if (NUMBER_COLUMNS.includes(column) || NUTRITION_COLUMNS.includes(column)) {
+    return Number.isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (column === 'ingredients') {
+    return value.split(';').map(ingredient => ingredient.trim()).filter(Boolean);
+  }
+  return value;
+};
+
+// Rows of { row, fields } from CSV text with a header row; rows are numbered from 1 after the header
+export const parseMenuCsv = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ImportError('CSV is empty');
+  }
+
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new ImportError(`Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+
+  return rows.map((cells, index) => {
+    const fields = {};
+    const nutritionalInfo = {};
+    columns.forEach((column, i) => {
+      const value = csvValue(column, cells[i] ?? '');
+      if (value === undefined) return;
+      if (NUTRITION_COLUMNS.includes(column)) {
+        nutritionalInfo[column] = value;
+      } else {
+        fields[column] = value;
+      }
+    });
+    if (Object.keys(nutritionalInfo).length > 0) {
+      fields.nutritionalInfo = nutritionalInfo;
+    }
+    return { row: index + 1, fields };
+  });
+};
+
+// Rows of { row, fields } from a JSON array of menu items
+export const parseMenuJson = (items) => {
+  if (!Array.isArray(items)) {
+    throw new ImportError('JSON imports must be an array of menu items, or { "items": [...] }');
+  }
+
+  return items.map((item, index) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      throw new ImportError(`Item ${index + 1} is not an object`);
+    }
+    return { row: index + 1, fields: pick(item, IMPORT_FIELDS) };
+  });
+};
@@ -0,0 +1,79 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMenuCsv, parseMenuJson, slugify } from '../utils/menuTransfer.js';
+
+describe('parseMenuCsv', () => {
+  test('turns rows into typed menu item fields', () => {
+    const csv = [
+      'sku,name,price,isVeg,ingredients,calories,protein',
+      'masala-chai,Masala Chai,40,yes,tea; milk ; ginger,120,4'
+    ].join('\r\n');
+
+    assert.deepEqual(parseMenuCsv(csv), [{
+      row: 1,
+      fields: {
+        sku: 'masala-chai',
+        name: 'Masala Chai',
+        price: 40,
+        isVeg: true,
+        ingredients: ['tea', 'milk', 'ginger'],
+        nutritionalInfo: { calories: 120, protein: 4 }
+      }
+    }]);
+  });
+
+  test('reads quoted cells with commas, quotes and newlines', () => {
+    const csv = 'name,description\n"Khaman, Dhokla","Steamed ""fluffy""\nsnack"\n';
+
+    assert.deepEqual(parseMenuCsv(csv)[0].fields, {
+      name: 'Khaman, Dhokla',
+      description: 'Steamed "fluffy"\nsnack'
+    });
+  });
+
+  test('leaves empty cells out and skips blank lines', () => {
+    const rows = parseMenuCsv('﻿name,price,isAvailable\nThepla,,\n\n  \nFafda,30,no\n');
+
+    assert.deepEqual(rows, [
+      { row: 1, fields: { name: 'Thepla' } },
+      { row: 2, fields: { name: 'Fafda', price: 30, isAvailable: false } }
+    ]);
+  });
+
+  test('passes values that look wrong through as text for the schema to report', () => {
+    assert.deepEqual(parseMenuCsv('name,price,isVeg\nChai,forty,maybe')[0].fields, {
+      name: 'Chai',
+      price: 'forty',
+      isVeg: 'maybe'
+    });
+  });
+
+  test('undoes the formula guard added on export', () => {
+    assert.equal(parseMenuCsv("name,description\nChai,'=tasty")[0].fields.description, '=tasty');
+  });
+
+  test('refuses unknown columns, empty files and unterminated quotes', () => {
+    assert.throws(() => parseMenuCsv('name,stock\nChai,5'), { name: 'ImportError', message: 'Unknown CSV columns: stock' });
+    assert.throws(() => parseMenuCsv(''), { name: 'ImportError', message: 'CSV is empty' });
+    assert.throws(() => parseMenuCsv('name\n"Chai'), { name: 'ImportError', message: 'CSV has an unterminated quoted field' });
+  });
+});
+
+describe('parseMenuJson', () => {
+  test('keeps only the fields an import may set', () => {
+    assert.deepEqual(parseMenuJson([{ name: 'Chai', price: 40, stock: 10, rating: 5 }]), [
+      { row: 1, fields: { name: 'Chai', price: 40 } }
+    ]);
+  });
+
+  test('refuses anything but objects', () => {
+    assert.throws(() => parseMenuJson([{ name: 'Chai' }, 'Thepla']), { message: 'Item 2 is not an object' });
+  });
+});
+
+describe('slugify', () => {
+  test('makes a lowercase, dash-separated SKU', () => {
+    assert.equal(slugify('Masala Chai (Large)'), 'masala-chai-large');
+    assert.equal(slugify('Crème Brûlée'), 'creme-brulee');
+  });
+});
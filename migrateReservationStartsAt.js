@@ -0,0 +1,114 @@
+// One-off migration: give reservations saved with separate `date` and `time` fields a single
+// `startsAt` instant and a `durationMinutes`, and move the old `tableNumber` into `tableNumbers`.
+// Upcoming pending and confirmed reservations also get their table held, so availability sees them.
+//
+//   node scripts/migrateReservationStartsAt.js [--dry-run]
+//
+// Safe to run more than once; reservations that already have startsAt keep it, and tables
+// already held are not held again.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import TableBooking from '../models/TableBooking.js';
+import {
+  ACTIVE_RESERVATION_STATUSES,
+  getReservationSettings,
+  holdTables,
+  reservationStart
+} from '../utils/reservationService.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cafe-ahmedabad');
+
+  // The raw collection: the old fields are no longer in the schema
+  const reservations = mongoose.connection.collection('reservations');
+  const { turnMinutes } = await getReservationSettings();
+
+  const now = new Date();
+  const endsAt = (reservation) => new Date(reservation.startsAt.getTime() + (reservation.durationMinutes ?? turnMinutes) * 60 * 1000);
+  // An upcoming pending or confirmed booking with a table
+  const holdsTable = (reservation) => ACTIVE_RESERVATION_STATUSES.includes(reservation.status)
+    && reservation.tableNumbers?.length > 0
+    && endsAt(reservation) > now;
+
+  let migrated = 0;
+  let held = 0;
+  const skipped = [];
+  const conflicts = [];
+  const cursor = reservations.find({ startsAt: { $exists: false } });
+
+  for await (const reservation of cursor) {
+    // Old documents stored whatever the client sent through new Date(); its café date is the one the guest meant
+    const startsAt = reservation.date instanceof Date && !Number.isNaN(reservation.date.getTime())
+      ? reservationStart(reservation.date.toISOString(), reservation.time)
+      : null;
+
+    if (!startsAt) {
+      skipped.push(`${reservation._id} (date ${reservation.date}, time ${reservation.time})`);
+      continue;
+    }
+
+    const update = {
+      $set: { startsAt, durationMinutes: turnMinutes },
+      $unset: { date: '', time: '' }
+    };
+    if (reservation.tableNumber !== undefined) {
+      update.$set.tableNumbers = reservation.tableNumbers?.length ? reservation.tableNumbers : [reservation.tableNumber];
+      update.$unset.tableNumber = '';
+    }
+
+    if (!dryRun) {
+      await reservations.updateOne({ _id: reservation._id, startsAt: { $exists: false } }, update);
+    } else if (holdsTable({ ...reservation, ...update.$set })) {
+      // Not written in a dry run, so the pass below cannot see it
+      held++;
+    }
+    migrated++;
+  }
+
+  // Hold the tables of upcoming bookings on the same slot grid new bookings use; availability only
+  // looks at the holds, so without them the slot looks free and gets booked twice. This also picks
+  // up bookings migrated by an earlier run that did not hold tables.
+  const upcoming = reservations.find({
+    status: { $in: ACTIVE_RESERVATION_STATUSES },
+    startsAt: { $gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) },
+    'tableNumbers.0': { $exists: true }
+  });
+
+  for await (const reservation of upcoming) {
+    if (!holdsTable(reservation) || await TableBooking.exists({ reservation: reservation._id })) {
+      continue;
+    }
+
+    if (dryRun) {
+      held++;
+    } else if (await holdTables(reservation._id, reservation.tableNumbers, reservation.startsAt, endsAt(reservation))) {
+      held++;
+    } else {
+      // Without a table, the next status change picks a free one
+      await reservations.updateOne({ _id: reservation._id }, { $set: { tableNumbers: [] } });
+      conflicts.push(`${reservation._id} (table(s) ${reservation.tableNumbers.join(', ')} at ${reservation.startsAt.toISOString()})`);
+    }
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} reservation(s)`);
+  console.log(`${dryRun ? 'Would hold' : 'Held'} tables for ${held} upcoming reservation(s)`);
+  if (skipped.length > 0) {
+    console.warn(`Skipped ${skipped.length} reservation(s) with an unreadable date or time:`);
+    skipped.forEach(line => console.warn(`  ${line}`));
+  }
+  if (conflicts.length > 0) {
+    console.warn(`Skipped holding tables for ${conflicts.length} reservation(s) whose table is already held; their table was cleared, so assign one again:`);
+    conflicts.forEach(line => console.warn(`  ${line}`));
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Reservation migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
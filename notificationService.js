@@ -0,0 +1,156 @@
+import Notification from '../models/Notification.js';
+import {
+  sendMail,
+  composeOrderEmail,
+  composeOrderStatusEmail,
+  composeReservationEmail,
+  composeContactEmail,
+  composeLowStockEmail
+} from './emailService.js';
+
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 20;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A notification stuck in 'processing' this long (e.g. the process died mid-send) is picked up again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m ... capped at one hour
+export const backoffDelay = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// Store a message in the outbox; the worker delivers it outside the request
+export const enqueueEmail = async (type, message, reference) => {
+  const notification = await Notification.create({
+    type,
+    ...message,
+    reference,
+    maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5
+  });
+
+  // Try right away instead of waiting for the next poll
+  setImmediate(() => processDueNotifications().catch(err => console.error('Notification worker error:', err)));
+
+  return notification;
+};
+
+export const notifyOrderPlaced = (order) => enqueueEmail('order-confirmation', composeOrderEmail(order), {
+  model: 'Order',
+  id: order._id,
+  label: order.orderNumber
+});
+
+export const notifyOrderStatus = (order) => enqueueEmail('order-status', composeOrderStatusEmail(order), {
+  model: 'Order',
+  id: order._id,
+  label: order.orderNumber
+});
+
+export const notifyReservation = (reservation) => enqueueEmail('reservation', composeReservationEmail(reservation), {
+  model: 'Reservation',
+  id: reservation._id,
+  label: reservation.email
+});
+
+export const notifyContact = (contact) => enqueueEmail('contact-alert', composeContactEmail(contact), {
+  model: 'Contact',
+  id: contact._id,
+  label: contact.email
+});
+
+export const notifyLowStock = (kind, item) => enqueueEmail('low-stock', composeLowStockEmail(item), {
+  model: kind === 'ingredient' ? 'Ingredient' : 'MenuItem',
+  id: item._id,
+  label: item.name
+});
+
+// Atomically claim the next due notification so concurrent runs never send it twice
+const claimNext = () => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      status: 'processing',
+      lockedAt: now,
+      updatedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliver = async (notification) => {
+  try {
+    const info = await sendMail({
+      to: notification.to,
+      replyTo: notification.replyTo,
+      subject: notification.subject,
+      text: notification.text,
+      html: notification.html
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.messageId = info?.messageId;
+    notification.lastError = undefined;
+  } catch (error) {
+    console.error(`Notification ${notification._id} attempt ${notification.attempts} failed:`, error.message);
+
+    notification.lastError = error.message;
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = 'dead';
+    } else {
+      notification.status = 'pending';
+      notification.nextAttemptAt = new Date(Date.now() + backoffDelay(notification.attempts));
+    }
+  }
+
+  notification.lockedAt = undefined;
+  await notification.save();
+};
+
+// Deliver every notification that is due; overlapping calls return immediately
+export const processDueNotifications = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const notification = await claimNext();
+      if (!notification) {
+        break;
+      }
+      await deliver(notification);
+    }
+  } finally {
+    running = false;
+  }
+};
+
+export const startNotificationWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(() => {
+    processDueNotifications().catch(err => console.error('Notification worker error:', err));
+  }, Number(process.env.NOTIFICATION_POLL_INTERVAL_MS) || POLL_INTERVAL_MS);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  console.log('📬 Notification worker started');
+};
+
+export const stopNotificationWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
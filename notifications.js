@@ -0,0 +1,173 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { processDueNotifications } from '../utils/notificationService.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin', 'manager'));
+
+const NOTIFICATION_STATUSES = Notification.schema.path('status').enumValues;
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// GET /api/notifications - List queued, sent and failed notifications (admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type, reference, to } = req.query;
+
+    // Plain strings only: a query like status[$ne]=sent would otherwise reach MongoDB as an operator
+    if (status !== undefined && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${NOTIFICATION_STATUSES.join(', ')}`
+      });
+    }
+
+    if (type !== undefined && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${NOTIFICATION_TYPES.join(', ')}`
+      });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (to) query.to = String(to).toLowerCase();
+    // Look up everything sent about one order / reservation, by order number or document ID
+    if (reference) {
+      query.$or = [{ 'reference.label': String(reference) }];
+      if (mongoose.Types.ObjectId.isValid(reference)) {
+        query.$or.push({ 'reference.id': reference });
+      }
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v -html');
+
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: notifications,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/notifications/:id - Get a single notification including its HTML body (admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id).select('-__v');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Get notification error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/notifications/retry-dead - Re-drive every dead-lettered notification (admin only)
+router.post('/retry-dead', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { status: 'dead' },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() }
+    );
+
+    processDueNotifications().catch(err => console.error('Notification worker error:', err));
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) queued for retry`
+    });
+
+  } catch (error) {
+    console.error('Retry notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/notifications/:id/retry - Re-drive a failed notification (admin only)
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['dead', 'pending'] } },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    ).select('-__v -html');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed or pending notification with this ID'
+      });
+    }
+
+    processDueNotifications().catch(err => console.error('Notification worker error:', err));
+
+    res.json({
+      success: true,
+      message: 'Notification queued for retry',
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Retry notification error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,71 @@
+// The admin notification outbox routes. Nothing reaches MongoDB: the tests only cover requests
+// that must be refused before a query runs.
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Notification from '../models/Notification.js';
+import notificationRoutes from '../routes/notifications.js';
+
+let server;
+let baseUrl;
+
+const adminToken = jwt.sign(
+  { userId: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin', tokenVersion: 0 },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { jwtid: crypto.randomUUID() }
+);
+
+const get = async (path) => {
+  const response = await fetch(`${baseUrl}/api/notifications${path}`, {
+    headers: { Authorization: `Bearer ${adminToken}` }
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(() => {
+  mock.method(RevokedToken, 'exists', async () => null);
+  mock.method(User, 'findById', () => ({
+    select: async () => ({ tokenVersion: 0, isActive: true })
+  }));
+  mock.method(Notification, 'find', () => {
+    throw new Error('notifications should not be queried');
+  });
+  mock.method(console, 'error', () => {});
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('GET /api/notifications', () => {
+  test('refuses operator objects in the status and type filters', async () => {
+    assert.equal((await get('/?status[$ne]=sent')).status, 400);
+    assert.equal((await get('/?type[$regex]=.*')).status, 400);
+  });
+
+  test('refuses values that are not a known status or type', async () => {
+    const { status, body } = await get('/?status=bounced');
+    assert.equal(status, 400);
+    assert.equal(body.message, 'status must be one of: pending, processing, sent, dead');
+  });
+});
+
+describe('GET /api/notifications/:id', () => {
+  test('a malformed ID is a 400', async () => {
+    const { status, body } = await get('/not-an-id');
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Invalid notification ID');
+  });
+});
@@ -1,15 +1,27 @@
 import express from 'express';
 import mongoose from 'mongoose';
-import Order from '../models/Order.js';
-import MenuItem from '../models/MenuItem.js';
-
+import Order, { ORDER_STATUS_TRANSITIONS } from '../models/Order.js';
+import { authenticateToken, requireRole, ownsOrder, signOrderAccessToken } from './auth.js';
+import { notifyOrderPlaced, notifyOrderStatus } from '../utils/notificationService.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { ONLINE_PAYMENT_METHODS, getPaymentProvider } from '../utils/paymentService.js';
+import { cafeDateString, cafeDayRange, isValidDateString } from '../utils/cafeTime.js';
+import { priceOrderItems } from '../utils/pricingService.js';
+import { reserveCoupon, releaseCoupon, recordCouponOrder } from '../utils/couponService.js';
+import { reserveStock, releaseStock, changeStockUsage, revertStockUsage } from '../utils/inventoryService.js';
+import { getOpeningHours, isOpenAt, nextOpeningDetails } from '../utils/hoursService.js';
 
 const router = express.Router();
 
+// Longer reasons would fail the statusHistory validation in the middle of a transition
+const REASON_MAX_LENGTH = Order.schema.path('statusHistory.reason').options.maxlength;
+const isValidReason = (reason) => reason == null
+  || (typeof reason === 'string' && reason.trim().length <= REASON_MAX_LENGTH);
+
 // POST /api/orders - Create new order
-router.post('/', async (req, res) => {
+router.post('/', idempotency(), async (req, res) => {
   try {
-    const { customer, deliveryAddress, items, specialInstructions } = req.body;
+    const { customer, deliveryAddress, items, specialInstructions, paymentMethod = 'cod', couponCode } = req.body;
 
     // Validate required fields
     if (!customer || !deliveryAddress || !items || items.length === 0) {
@@ -35,65 +47,39 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate and calculate totals
-    let subtotal = 0;
-    const validatedItems = [];
-
-    console.log('Processing order items:', items);
-
-    for (const item of items) {
-      // Validate ObjectId format
-      if (!item.menuItemId || !mongoose.Types.ObjectId.isValid(item.menuItemId)) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid menu item ID: ${item.menuItemId}`
-        });
-      }
-
-      // Find menu item in database
-      const menuItem = await MenuItem.findById(item.menuItemId);
-      if (!menuItem) {
-        return res.status(400).json({
-          success: false,
-          message: `Menu item "${item.name}" not found or has been removed`
-        });
-      }
-
-      if (!menuItem.isAvailable) {
-        return res.status(400).json({
-          success: false,
-          message: `Menu item "${menuItem.name}" is currently unavailable`
-        });
-      }
-
-      // Validate quantity
-      if (!item.quantity || item.quantity < 1) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid quantity for item "${menuItem.name}"`
-        });
-      }
-
-      const itemTotal = menuItem.price * item.quantity;
-      subtotal += itemTotal;
+    if (!['cod', ...ONLINE_PAYMENT_METHODS].includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment method'
+      });
+    }
 
-      validatedItems.push({
-        menuItem: menuItem._id,
-        name: menuItem.name,
-        price: menuItem.price,
-        quantity: item.quantity,
-        image: menuItem.image
+    const openingHours = await getOpeningHours();
+    if (!isOpenAt(openingHours)) {
+      const next = nextOpeningDetails(openingHours);
+      return res.status(400).json({
+        success: false,
+        message: next.nextOpening
+          ? `We're closed right now. Orders open again at ${next.nextOpeningLabel}.`
+          : "We're closed right now.",
+        data: next
       });
     }
 
-    const deliveryFee = subtotal >= 300 ? 0 : 30; // Free delivery above 300
-    const total = subtotal + deliveryFee;
+    // Validate items and calculate totals from current menu prices
+    const customerEmail = customer.email.trim().toLowerCase();
+    const { validatedItems, totals, coupon } = await priceOrderItems(items, {
+      pincode: deliveryAddress.pincode.trim(),
+      couponCode,
+      email: customerEmail
+    });
+    const { deliveryDiscount, ...orderTotals } = totals;
 
     // Create new order
     const newOrder = new Order({
       customer: {
         name: customer.name.trim(),
-        email: customer.email.trim().toLowerCase(),
+        email: customerEmail,
         phone: customer.phone.trim()
       },
       deliveryAddress: {
@@ -104,26 +90,84 @@ router.post('/', async (req, res) => {
         landmark: deliveryAddress.landmark?.trim() || ''
       },
       items: validatedItems,
-      subtotal,
-      deliveryFee,
-      total,
+      ...orderTotals,
+      coupon: coupon ? {
+        code: coupon.code,
+        type: coupon.type,
+        discount: totals.discountTotal + deliveryDiscount
+      } : undefined,
+      paymentMethod,
       specialInstructions: specialInstructions?.trim() || ''
     });
 
+    const provider = ONLINE_PAYMENT_METHODS.includes(paymentMethod) ? getPaymentProvider() : null;
+    if (provider) {
+      newOrder.payment = { provider: provider.name, amount: totals.total };
+    }
+
     console.log('Creating order:', newOrder);
 
-    const savedOrder = await newOrder.save();
+    // Take the items out of stock first so two orders can never get the last one;
+    // rejects the order with a StockError if anything would be oversold
+    const actor = { kind: 'customer', email: customerEmail };
+    newOrder.stockUsage = await reserveStock(validatedItems, { order: newOrder._id, actor });
+
+    // Claim the coupon use atomically; give it and the stock back if the order cannot be saved
+    let couponReserved = false;
+    let savedOrder;
+    try {
+      if (coupon) {
+        await reserveCoupon(coupon, customerEmail);
+        couponReserved = true;
+      }
+      savedOrder = await newOrder.saveWithRetry();
+    } catch (saveError) {
+      if (couponReserved) {
+        await releaseCoupon(coupon, customerEmail);
+      }
+      await releaseStock(newOrder.stockUsage, {
+        order: newOrder._id,
+        actor,
+        reason: 'correction',
+        note: 'Order could not be placed'
+      });
+      throw saveError;
+    }
+
+    if (coupon) {
+      await recordCouponOrder(coupon, customerEmail, savedOrder.orderNumber);
+    }
+
+    // Start the online payment; the order waits in "pending" until the provider confirms it
+    let nextAction;
+    if (provider) {
+      try {
+        const payment = await provider.createPayment({ order: savedOrder, method: paymentMethod });
+        savedOrder.payment.providerPaymentId = payment.providerPaymentId;
+        savedOrder.payment.status = payment.status || 'awaiting';
+        savedOrder = await savedOrder.save();
+        nextAction = payment.nextAction;
+      } catch (paymentError) {
+        console.error('Payment creation error:', paymentError);
+        await Order.transitionStatus(savedOrder.orderNumber, 'cancelled', {
+          actor: { kind: 'system' },
+          reason: 'Payment could not be started'
+        });
+        return res.status(502).json({
+          success: false,
+          message: 'We could not start your payment. Please try again or choose cash on delivery.'
+        });
+      }
+    }
     await savedOrder.populate('items.menuItem');
 
     console.log('Order created successfully:', savedOrder.orderNumber);
 
-    // Send order confirmation email (optional - don't fail if email fails)
+    // Queue order confirmation email (don't fail the order if queueing fails)
     try {
-      await sendOrderEmail(savedOrder);
-      console.log('Order confirmation email sent');
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Continue without failing the order
+      await notifyOrderPlaced(savedOrder);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
     }
 
     res.status(201).json({
@@ -131,15 +175,36 @@ router.post('/', async (req, res) => {
       message: 'Order placed successfully!',
       data: {
         orderNumber: savedOrder.orderNumber,
+        accessToken: signOrderAccessToken(savedOrder.orderNumber),
         total: savedOrder.total,
+        discount: savedOrder.coupon?.discount || 0,
         estimatedDeliveryTime: savedOrder.estimatedDeliveryTime,
-        status: savedOrder.status
+        status: savedOrder.status,
+        paymentMethod: savedOrder.paymentMethod,
+        payment: savedOrder.payment && {
+          status: savedOrder.payment.status,
+          nextAction
+        }
       }
     });
 
   } catch (error) {
     console.error('Order creation error:', error);
 
+    if (error.name === 'StockError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (['OrderItemError', 'PricingError', 'CouponError'].includes(error.name)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -164,7 +229,64 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/orders/:orderNumber - Get order by order number
+// GET /api/orders/reports/daily-sales - Sales for one café day, net of refunds (admin only)
+router.get('/reports/daily-sales', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { date = cafeDateString() } = req.query;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { start, end } = cafeDayRange(date);
+
+    // Orders placed that day that brought in money (or will, for cash orders still on the way)
+    const [sales = { orders: 0, grossSales: 0 }] = await Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: start, $lt: end },
+          $or: [
+            { status: { $ne: 'cancelled' } },
+            { 'payment.status': { $in: ['captured', 'refunded'] } }
+          ]
+        }
+      },
+      { $group: { _id: null, orders: { $sum: 1 }, grossSales: { $sum: '$total' } } }
+    ]);
+
+    // Refunds issued that day, whichever day the order was placed
+    const [refunds = { count: 0, amount: 0 }] = await Order.aggregate([
+      { $match: { 'refunds.createdAt': { $gte: start, $lt: end } } },
+      { $unwind: '$refunds' },
+      { $match: { 'refunds.createdAt': { $gte: start, $lt: end }, 'refunds.status': { $ne: 'failed' } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$refunds.amount' } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        orders: sales.orders,
+        grossSales: sales.grossSales,
+        refunds: refunds.amount,
+        refundCount: refunds.count,
+        netSales: sales.grossSales - refunds.amount
+      }
+    });
+
+  } catch (error) {
+    console.error('Daily sales report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/orders/:orderNumber - Get order by order number (full details for the customer who placed it)
 router.get('/:orderNumber', async (req, res) => {
   try {
     const { orderNumber } = req.params;
@@ -180,6 +302,18 @@ router.get('/:orderNumber', async (req, res) => {
       });
     }
 
+    // Order numbers run in sequence, so only the status is shown to someone who cannot prove
+    // the order is theirs; the address, payment and amounts need the access token, email or phone
+    if (!ownsOrder(req, order)) {
+      return res.json({
+        success: true,
+        data: {
+          status: order.status,
+          estimatedDeliveryTime: order.estimatedDeliveryTime
+        }
+      });
+    }
+
  res.json({
   success: true,
   data: {
@@ -187,15 +321,25 @@ router.get('/:orderNumber', async (req, res) => {
     estimatedDeliveryTime: order.estimatedDeliveryTime,
     deliveryAddress: order.deliveryAddress,
      paymentMethod: order.paymentMethod,
+    paymentStatus: order.payment?.status,
     items: order.items.map((item) => ({
       name: item.name || item.menuItem?.name || 'Unnamed Item',
       price: item.price || item.menuItem?.price || 0,
+      options: item.options.map(({ group, name, priceDelta }) => ({ group, name, priceDelta })),
       quantity: item.quantity,
       image: item.image || item.menuItem?.image || ''
     })),
     subtotal: order.subtotal,
+    coupon: order.coupon?.code ? order.coupon : undefined,
+    discountTotal: order.discountTotal,
+    packagingFee: order.packagingFee,
     deliveryFee: order.deliveryFee,
-    totalAmount: order.total
+    taxes: order.taxes,
+    taxTotal: order.taxTotal,
+    totalAmount: order.total,
+    refundedAmount: order.refundedAmount,
+    netTotal: order.netTotal,
+    statusHistory: order.statusHistory.map(({ to, changedAt }) => ({ status: to, changedAt }))
   }
 });
   } catch (error) {
@@ -207,8 +351,426 @@ router.get('/:orderNumber', async (req, res) => {
   }
 });
 
-// GET /api/orders - Get all orders (admin only)
-router.get('/', async (req, res) => {
+// POST /api/orders/:orderNumber/cancel - Customer cancels their own pending order
+router.post('/:orderNumber/cancel', async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { reason } = req.body;
+
+    if (!isValidReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be text of at most ${REASON_MAX_LENGTH} characters`
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!ownsOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Order details do not match our records'
+      });
+    }
+
+    // The money has been taken, so staff have to cancel it and send the refund
+    if (order.paidAmount() > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has already been paid online. Please call the café to cancel it and get a refund.'
+      });
+    }
+
+    const cancelledOrder = await Order.transitionStatus(orderNumber, 'cancelled', {
+      from: ['pending'],
+      actor: { kind: 'customer', email: order.customer.email },
+      reason: reason?.trim() || 'Cancelled by customer'
+    });
+
+    try {
+      await notifyOrderStatus(cancelledOrder);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: {
+        orderNumber: cancelledOrder.orderNumber,
+        status: cancelledOrder.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+
+    if (error.name === 'StatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'This order can no longer be cancelled online. Please call the café.'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// PATCH /api/orders/:orderNumber/items - Customer changes the items of their pending order
+router.patch('/:orderNumber/items', async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items are required. To remove everything, cancel the order instead.'
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!ownsOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Order details do not match our records'
+      });
+    }
+
+    // Cancelled and delivered orders no longer hold stock, so there is nothing to change it from
+    if (order.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'This order can no longer be changed online. Please call the café.'
+      });
+    }
+
+    // The amount sent to the payment provider cannot change any more
+    if (order.payment) {
+      return res.status(409).json({
+        success: false,
+        message: 'Orders paid online cannot be changed. Please cancel and place a new order.'
+      });
+    }
+
+    // Keep the coupon the order was placed with; its use has already been counted, and it
+    // still applies even if it has expired or been switched off since checkout
+    const { validatedItems, totals } = await priceOrderItems(items, {
+      pincode: order.deliveryAddress.pincode,
+      couponCode: order.coupon?.code,
+      email: order.customer.email,
+      couponHeld: true
+    });
+    const { deliveryDiscount, ...orderTotals } = totals;
+    if (order.coupon?.code) {
+      orderTotals.coupon = {
+        code: order.coupon.code,
+        type: order.coupon.type,
+        discount: totals.discountTotal + deliveryDiscount
+      };
+    }
+
+    // Take or give back only the difference in stock
+    const actor = { kind: 'customer', email: order.customer.email };
+    const stockUsage = await changeStockUsage(order.stockUsage, validatedItems, { order: order._id, actor });
+
+    // Only apply the change if nobody else has touched the order since it was read: the café may
+    // have picked it up, or another change may have moved stock against the same starting usage
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending', updatedAt: order.updatedAt },
+      { items: validatedItems, ...orderTotals, stockUsage, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedOrder) {
+      try {
+        await revertStockUsage(stockUsage, order.stockUsage, { order: order._id, actor });
+      } catch (stockError) {
+        console.error('Restoring stock failed:', stockError);
+      }
+
+      const stillPending = await Order.exists({ _id: order._id, status: 'pending' });
+      return res.status(409).json({
+        success: false,
+        message: stillPending
+          ? 'This order was changed at the same time. Please refresh and try again.'
+          : 'This order can no longer be changed online. Please call the café.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order updated successfully',
+      data: {
+        orderNumber: updatedOrder.orderNumber,
+        items: updatedOrder.items.map(({ name, price, options, quantity, image }) => ({
+          name,
+          price,
+          options: options.map(({ group, name: optionName, priceDelta }) => ({ group, name: optionName, priceDelta })),
+          quantity,
+          image
+        })),
+        subtotal: updatedOrder.subtotal,
+        discount: updatedOrder.coupon?.discount || 0,
+        packagingFee: updatedOrder.packagingFee,
+        deliveryFee: updatedOrder.deliveryFee,
+        taxes: updatedOrder.taxes,
+        taxTotal: updatedOrder.taxTotal,
+        total: updatedOrder.total,
+        status: updatedOrder.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Modify order error:', error);
+
+    if (error.name === 'StockError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (['OrderItemError', 'PricingError', 'CouponError'].includes(error.name)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/orders/:orderNumber/refunds - Refund a paid order in full, by amount or per line item (admin only)
+router.post('/:orderNumber/refunds', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { items, amount: requestedAmount, reason } = req.body;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A refund reason is required'
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refundable = order.refundableAmount();
+    if (refundable <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Nothing has been paid on this order, or it has already been fully refunded'
+      });
+    }
+
+    let amount;
+    const refundItems = [];
+
+    if (Array.isArray(items) && items.length > 0) {
+      // Quantities already refunded per order line
+      const refundedQuantities = {};
+      for (const refund of order.refunds) {
+        if (refund.status === 'failed') continue;
+        for (const line of refund.items) {
+          refundedQuantities[line.orderItem] = (refundedQuantities[line.orderItem] || 0) + line.quantity;
+        }
+      }
+
+      amount = 0;
+      for (const { orderItemId, quantity } of items) {
+        const line = mongoose.Types.ObjectId.isValid(orderItemId) ? order.items.id(orderItemId) : null;
+        if (!line) {
+          return res.status(400).json({
+            success: false,
+            message: `Order item ${orderItemId} not found on this order`
+          });
+        }
+
+        const remaining = line.quantity - (refundedQuantities[line._id] || 0);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid refund quantity for "${line.name}" (at most ${remaining} can be refunded)`
+          });
+        }
+
+        // Refund the line including its GST (orders priced before GST tracking only have the price)
+        const lineAmount = (line.grossTotal ?? line.price * line.quantity) / line.quantity * quantity;
+
+        refundedQuantities[line._id] = (refundedQuantities[line._id] || 0) + quantity;
+        refundItems.push({
+          orderItem: line._id,
+          name: line.name,
+          quantity,
+          amount: Math.round(lineAmount * 100) / 100
+        });
+        amount += lineAmount;
+      }
+    } else if (requestedAmount !== undefined) {
+      amount = Number(requestedAmount);
+      if (!(amount > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund amount must be a positive number'
+        });
+      }
+    } else {
+      // Full refund of whatever is left
+      amount = refundable;
+    }
+
+    amount = Math.round(amount * 100) / 100;
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the refundable amount of ₹${refundable}`
+      });
+    }
+
+    const refund = {
+      amount,
+      items: refundItems,
+      reason: reason.trim(),
+      method: order.payment ? 'original-payment' : 'cash',
+      status: order.payment ? 'pending' : 'completed',
+      createdBy: {
+        userId: req.user.userId,
+        email: req.user.email,
+        role: req.user.role
+      }
+    };
+
+    // Record the refund first; this fails if another refund was added since we read the order
+    let updatedOrder = await Order.recordRefund(order, refund);
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another refund was recorded for this order. Please refresh and try again.'
+      });
+    }
+
+    const refundId = updatedOrder.refunds[updatedOrder.refunds.length - 1]._id;
+
+    // Send online refunds back through the payment provider
+    if (order.payment) {
+      try {
+        const result = await getPaymentProvider(order.payment.provider).refund({
+          order: updatedOrder,
+          amount,
+          reason: refund.reason
+        });
+
+        const update = {
+          'refunds.$.status': result.status || 'completed',
+          'refunds.$.providerRefundId': result.providerRefundId
+        };
+        if (updatedOrder.refundedAmount >= updatedOrder.total) {
+          update['payment.status'] = 'refunded';
+          update['payment.refundedAt'] = new Date();
+        }
+
+        updatedOrder = await Order.findOneAndUpdate(
+          { _id: order._id, 'refunds._id': refundId },
+          update,
+          { new: true }
+        );
+      } catch (providerError) {
+        console.error('Refund provider error:', providerError);
+
+        await Order.updateOne(
+          { _id: order._id, 'refunds._id': refundId },
+          {
+            'refunds.$.status': 'failed',
+            'refunds.$.failureReason': providerError.message,
+            $inc: { refundedAmount: -amount }
+          }
+        );
+
+        return res.status(502).json({
+          success: false,
+          message: 'The payment provider could not process the refund. Please try again.'
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund recorded successfully',
+      data: {
+        orderNumber: updatedOrder.orderNumber,
+        refund: updatedOrder.refunds.id(refundId),
+        refundedAmount: updatedOrder.refundedAmount,
+        netTotal: updatedOrder.netTotal
+      }
+    });
+
+  } catch (error) {
+    console.error('Refund order error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// GET /api/orders - Get all orders (staff only)
+router.get('/', authenticateToken, requireRole('admin', 'manager', 'kitchen', 'delivery'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, date } = req.query;
 
@@ -250,30 +812,35 @@ router.get('/', async (req, res) => {
   }
 });
 
-// PUT /api/orders/:orderNumber/status - Update order status
-router.put('/:orderNumber/status', async (req, res) => {
+// PUT /api/orders/:orderNumber/status - Update order status (staff only)
+router.put('/:orderNumber/status', authenticateToken, requireRole('admin', 'manager', 'kitchen', 'delivery'), async (req, res) => {
   try {
     const { orderNumber } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'out-for-delivery', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!Object.keys(ORDER_STATUS_TRANSITIONS).includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status value'
       });
     }
 
-    const updateData = { status };
-    if (status === 'delivered') {
-      updateData.actualDeliveryTime = new Date();
+    if (!isValidReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be text of at most ${REASON_MAX_LENGTH} characters`
+      });
     }
 
-    const order = await Order.findOneAndUpdate(
-      { orderNumber },
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('items.menuItem');
+    const order = await Order.transitionStatus(orderNumber, status, {
+      actor: {
+        kind: 'staff',
+        userId: req.user.userId,
+        email: req.user.email,
+        role: req.user.role
+      },
+      reason: reason?.trim()
+    });
 
     if (!order) {
       return res.status(404).json({
@@ -282,6 +849,15 @@ router.put('/:orderNumber/status', async (req, res) => {
       });
     }
 
+    // Let the customer know about the status change
+    try {
+      await notifyOrderStatus(order);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
+    }
+
+    await order.populate('items.menuItem');
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -290,6 +866,24 @@ router.put('/:orderNumber/status', async (req, res) => {
 
   } catch (error) {
     console.error('Update order status error:', error);
+
+    if (error.name === 'StatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: ORDER_STATUS_TRANSITIONS[error.currentStatus]
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error. Please try again later.'
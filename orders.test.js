@@ -0,0 +1,208 @@
+// Customer changes to a pending order through the orders router. Orders, menu items and stock
+// live in memory instead of MongoDB, so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import MenuItem from '../models/MenuItem.js';
+import Ingredient from '../models/Ingredient.js';
+import Setting from '../models/Setting.js';
+import StockMovement from '../models/StockMovement.js';
+import orderRoutes from '../routes/orders.js';
+
+// --- In-memory menu and stock: just enough of the model API for pricing and stock changes ---
+
+const menuItems = new Map();
+let stored;
+let orderUpdate;
+
+// Resolves like a mongoose query and accepts the chained calls the services make
+const query = (result) => ({
+  select() {
+    return this;
+  },
+  collation() {
+    return this;
+  },
+  populate() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+const storeMenuItem = (fields) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    category: 'tea',
+    description: 'Test item',
+    isAvailable: true,
+    ingredients: [],
+    variantGroups: [],
+    modifierGroups: [],
+    ...fields
+  };
+  menuItems.set(String(doc._id), doc);
+  return doc;
+};
+
+const stockOf = (doc) => menuItems.get(String(doc._id)).stock;
+
+let server;
+let baseUrl;
+
+const patchItems = async (orderNumber, body) => {
+  const response = await fetch(`${baseUrl}/api/orders/${orderNumber}/items`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(() => {
+  mock.method(Setting, 'getValue', async (key, defaults) => defaults);
+  mock.method(MenuItem, 'findById', async (id) => {
+    const doc = menuItems.get(String(id));
+    return doc && MenuItem.hydrate({ ...doc });
+  });
+  mock.method(MenuItem, 'find', () => query([...menuItems.values()].map(doc => MenuItem.hydrate({ ...doc }))));
+  mock.method(MenuItem, 'findOneAndUpdate', async (filter, update) => {
+    const doc = menuItems.get(String(filter._id));
+    const change = update.$inc.stock;
+    if (!doc || typeof doc.stock !== 'number' || doc.stock + change < 0) {
+      return null;
+    }
+    doc.stock += change;
+    return MenuItem.hydrate({ ...doc });
+  });
+  mock.method(MenuItem, 'updateOne', async () => ({ modifiedCount: 0 }));
+  mock.method(Ingredient, 'find', () => query([]));
+  mock.method(StockMovement, 'create', async () => ({}));
+
+  mock.method(Order, 'findOne', () => query(stored && Order.hydrate(structuredClone(stored))));
+  mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    orderUpdate = update;
+    return null;
+  });
+  mock.method(Order, 'exists', async (filter) => (stored?.status === filter.status ? { _id: stored._id } : null));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  menuItems.clear();
+  stored = null;
+  orderUpdate = null;
+});
+
+const storeOrder = (fields) => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: 'CA-20261018-0001',
+    customer: { name: 'Asha', email: 'asha@example.com', phone: '9876543210' },
+    deliveryAddress: { street: '1 Law Garden', area: 'Navrangpura', city: 'Ahmedabad', pincode: '380009' },
+    status: 'pending',
+    updatedAt: new Date(),
+    ...fields
+  };
+  return stored;
+};
+
+describe('GET /api/orders/:orderNumber', () => {
+  const getOrder = async (path) => {
+    const response = await fetch(`${baseUrl}/api/orders/${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('shows only the status to someone who cannot prove the order is theirs', async () => {
+    const order = storeOrder({ items: [], stockUsage: [], statusHistory: [] });
+
+    const { status, body } = await getOrder(order.orderNumber);
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.data), ['status']);
+
+    const wrongEmail = await getOrder(`${order.orderNumber}?email=someone@example.com`);
+    assert.equal(wrongEmail.body.data.deliveryAddress, undefined);
+  });
+
+  test('shows the full order with the email it was placed with', async () => {
+    const order = storeOrder({ items: [], stockUsage: [], statusHistory: [] });
+
+    const { body } = await getOrder(`${order.orderNumber}?email=Asha@Example.com`);
+    assert.equal(body.data.deliveryAddress.pincode, '380009');
+  });
+});
+
+describe('POST /api/orders/:orderNumber/cancel', () => {
+  test('an order already paid online cannot be cancelled by the customer', async () => {
+    const order = storeOrder({
+      items: [],
+      stockUsage: [],
+      total: 250,
+      payment: { provider: 'fake', method: 'upi', providerPaymentId: 'fake_pay_1', status: 'captured', amount: 250 }
+    });
+    const transition = mock.method(Order, 'transitionStatus');
+
+    const response = await fetch(`${baseUrl}/api/orders/${order.orderNumber}/cancel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: order.customer.email })
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(transition.mock.callCount(), 0);
+    transition.mock.restore();
+  });
+});
+
+describe('PATCH /api/orders/:orderNumber/items', () => {
+  test('a cancelled order is refused without touching stock', async () => {
+    const tea = storeMenuItem({ name: 'Masala Chai', price: 40, stock: 20 });
+    const order = storeOrder({
+      status: 'cancelled',
+      items: [{ menuItem: tea._id, name: tea.name, price: 40, quantity: 2 }],
+      stockUsage: []
+    });
+
+    const { status, body } = await patchItems(order.orderNumber, {
+      email: order.customer.email,
+      items: [{ menuItemId: String(tea._id), quantity: 5 }]
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.message, 'This order can no longer be changed online. Please call the café.');
+    assert.equal(stockOf(tea), 20);
+    assert.equal(StockMovement.create.mock.callCount(), 0);
+  });
+
+  test('losing a race gives back exactly the stock that was taken', async () => {
+    // The order was placed before stock was tracked, so it holds none
+    const tea = storeMenuItem({ name: 'Masala Chai', price: 40, stock: 20 });
+    const order = storeOrder({
+      items: [{ menuItem: tea._id, name: tea.name, price: 40, quantity: 2 }],
+      stockUsage: []
+    });
+
+    const { status, body } = await patchItems(order.orderNumber, {
+      email: order.customer.email,
+      items: [{ menuItemId: String(tea._id), quantity: 5 }]
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.message, 'This order was changed at the same time. Please refresh and try again.');
+    assert.equal(orderUpdate.stockUsage[0].quantity, 5);
+    assert.equal(stockOf(tea), 20);
+  });
+});
@@ -0,0 +1,29 @@
+import fakePaymentProvider from './fakePaymentProvider.js';
+
+// Payment providers implement:
+//   name
+//   createPayment({ order, method }) -> { providerPaymentId, status, nextAction }
+//   verifyWebhook(rawBody, headers)  -> boolean (signature check)
+//   parseWebhook(body)               -> { eventId, type, providerPaymentId, status, failureReason }
+//   refund({ order, amount, reason }) -> { providerRefundId, status: 'completed' | 'pending' }
+// where status is one of the Order payment statuses (authorized, captured, failed, refunded).
+const providers = {
+  [fakePaymentProvider.name]: fakePaymentProvider
+};
+
+export const ONLINE_PAYMENT_METHODS = ['upi', 'card'];
+
+export const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = Object.hasOwn(providers, name) ? providers[name] : null;
+  if (name === fakePaymentProvider.name && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
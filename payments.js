@@ -0,0 +1,144 @@
+import express from 'express';
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { getPaymentProvider } from '../utils/paymentService.js';
+import { notifyOrderStatus } from '../utils/notificationService.js';
+
+const router = express.Router();
+
+const STATUS_REASON_MAX_LENGTH = Order.schema.path('statusHistory.reason').options.maxlength;
+
+// A refund made at the provider (e.g. from its dashboard) is recorded like one made here, so
+// refundedAmount and the sales reports match what the provider paid back
+const recordProviderRefund = async (order) => {
+  let current = order;
+  while (current && current.refundableAmount() > 0) {
+    const recorded = await Order.recordRefund(current, {
+      amount: current.refundableAmount(),
+      reason: 'Refunded through the payment provider',
+      method: 'original-payment',
+      status: 'completed'
+    });
+    if (recorded) {
+      return recorded;
+    }
+    // Another refund was recorded in the meantime; only the rest is still to be recorded
+    current = await Order.findById(order._id);
+  }
+  return current;
+};
+
+// POST /api/payments/webhook - Payment status updates from the payment provider
+router.post('/webhook', async (req, res) => {
+  let recordedEvent = null;
+
+  try {
+    const provider = getPaymentProvider(req.query.provider);
+
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = provider.parseWebhook(req.body);
+    if (!event.eventId || !event.providerPaymentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed webhook event'
+      });
+    }
+
+    // Record the event first; a redelivery hits the unique index and is acknowledged without reprocessing
+    try {
+      recordedEvent = await PaymentEvent.create({
+        provider: provider.name,
+        eventId: event.eventId,
+        type: event.type,
+        providerPaymentId: event.providerPaymentId,
+        payload: req.body
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({
+          success: true,
+          message: 'Event already processed'
+        });
+      }
+      throw error;
+    }
+
+    const order = await Order.applyPaymentStatus(event.providerPaymentId, event.status, {
+      failureReason: event.failureReason
+    });
+
+    if (!order) {
+      // Nothing was applied, so forget the event: it may have arrived before the order
+      // saved its providerPaymentId, and the provider's redelivery must then be processed
+      await PaymentEvent.deleteOne({ _id: recordedEvent._id });
+
+      if (!(await Order.exists({ 'payment.providerPaymentId': event.providerPaymentId }))) {
+        // Not a 2xx, so the provider retries
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      // A status the payment has already moved past
+      return res.json({
+        success: true,
+        message: 'Event ignored'
+      });
+    }
+
+    await PaymentEvent.updateOne({ _id: recordedEvent._id }, { orderNumber: order.orderNumber });
+
+    if (event.status === 'refunded') {
+      await recordProviderRefund(order);
+    }
+
+    // A failed payment means the order will never reach the kitchen
+    if (event.status === 'failed' && order.status === 'pending') {
+      const cancelledOrder = await Order.transitionStatus(order.orderNumber, 'cancelled', {
+        from: ['pending'],
+        actor: { kind: 'system' },
+        reason: `Payment failed${event.failureReason ? `: ${event.failureReason}` : ''}`.slice(0, STATUS_REASON_MAX_LENGTH)
+      });
+
+      try {
+        await notifyOrderStatus(cancelledOrder);
+      } catch (notifyError) {
+        console.error('Queueing notification failed:', notifyError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Event processed'
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+
+    if (error.name === 'StatusTransitionError') {
+      return res.json({
+        success: true,
+        message: 'Event processed'
+      });
+    }
+
+    // Forget the event so the provider's retry is processed again
+    if (recordedEvent) {
+      await PaymentEvent.deleteOne({ _id: recordedEvent._id }).catch(() => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,121 @@
+// Payment provider webhooks through the payments router, signed like the fake provider signs
+// them. The order lives in memory instead of MongoDB, so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import Notification from '../models/Notification.js';
+import paymentRoutes from '../routes/payments.js';
+import { signFakeWebhook } from '../utils/fakePaymentProvider.js';
+
+let stored;
+
+const hydrated = () => Order.hydrate(structuredClone(stored));
+
+let server;
+let baseUrl;
+let eventCount = 0;
+
+const sendWebhook = async (type, extra = {}) => {
+  const rawBody = JSON.stringify({ id: `evt_${++eventCount}`, type, paymentId: stored.payment.providerPaymentId, ...extra });
+  const response = await fetch(`${baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-payment-signature': signFakeWebhook(rawBody) },
+    body: rawBody
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(() => {
+  mock.method(PaymentEvent, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  mock.method(PaymentEvent, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(PaymentEvent, 'deleteOne', async () => ({ deletedCount: 1 }));
+  // Emails are queued but never sent
+  mock.method(Notification, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  mock.method(Notification, 'findOneAndUpdate', async () => null);
+
+  mock.method(Order, 'applyPaymentStatus', async (providerPaymentId, status) => {
+    stored.payment.status = status;
+    return hydrated();
+  });
+  mock.method(Order, 'findById', async () => hydrated());
+  // Only the conditional refund update is used by the routes under test
+  mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.refundedAmount !== stored.refundedAmount) {
+      return null;
+    }
+    stored.refunds.push(update.$push.refunds);
+    stored.refundedAmount += update.$inc.refundedAmount;
+    return hydrated();
+  });
+  mock.method(Order, 'transitionStatus', async (orderNumber, status) => {
+    stored.status = status;
+    return hydrated();
+  });
+
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/payments', paymentRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  Order.transitionStatus.mock.resetCalls();
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: 'CA-20261018-0001',
+    customer: { name: 'Asha', email: 'asha@example.com', phone: '9876543210' },
+    status: 'pending',
+    total: 250,
+    refundedAmount: 0,
+    refunds: [],
+    payment: { provider: 'fake', method: 'upi', providerPaymentId: 'fake_pay_1', status: 'awaiting', amount: 250 }
+  };
+});
+
+describe('POST /api/payments/webhook', () => {
+  test('a failed payment cancels the order even with a very long provider reason', async () => {
+    const { status } = await sendWebhook('payment.failed', { reason: 'x'.repeat(2000) });
+    assert.equal(status, 200);
+
+    const [, toStatus, { reason }] = Order.transitionStatus.mock.calls[0].arguments;
+    assert.equal(toStatus, 'cancelled');
+    assert.equal(reason.length, 500);
+    assert.equal(stored.status, 'cancelled');
+  });
+
+  test('a refund made at the provider is recorded on the order', async () => {
+    stored.payment.status = 'captured';
+
+    const { status } = await sendWebhook('payment.refunded');
+    assert.equal(status, 200);
+
+    assert.equal(stored.refundedAmount, 250);
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(stored.refunds[0].status, 'completed');
+    assert.equal(stored.refunds[0].method, 'original-payment');
+  });
+
+  test('only the part not already refunded here is recorded', async () => {
+    stored.payment.status = 'captured';
+    stored.refundedAmount = 100;
+    stored.refunds.push({ amount: 100, reason: 'Cold coffee', method: 'original-payment', status: 'completed' });
+
+    await sendWebhook('payment.refunded');
+
+    assert.equal(stored.refundedAmount, 250);
+    assert.equal(stored.refunds[1].amount, 150);
+  });
+});
@@ -0,0 +1,405 @@
+import mongoose from 'mongoose';
+import Setting from '../models/Setting.js';
+import MenuItem from '../models/MenuItem.js';
+import { CouponError, computeCouponDiscount, findApplicableCoupon } from './couponService.js';
+import { getMenuSchedules, menuItemAvailability, formatAvailableFrom } from './scheduleService.js';
+
+// Used until an admin saves pricing rules through PUT /api/settings/pricing.
+// Totals match the old hard-coded behaviour (₹30 delivery, free above ₹300) because
+// menu prices are treated as GST-inclusive; the invoice just shows the tax now.
+export const DEFAULT_PRICING_RULES = {
+  // GST percentage per menu category; `default` covers anything not listed
+  gstRates: {
+    default: 5
+  },
+  // true when menu prices already include GST
+  pricesIncludeTax: true,
+  // GST percentage charged on packaging and delivery fees
+  chargesGstRate: 0,
+  packaging: {
+    perOrder: 0,
+    // Per-unit charge by category, e.g. { beverages: 5 }
+    perItemByCategory: {}
+  },
+  minimumOrderValue: 0,
+  delivery: {
+    defaultFee: 30,
+    freeDeliveryAbove: 300,
+    // Exact fee for a pincode, e.g. { '380009': 20 }
+    pincodeFees: {},
+    // Distance from the café per pincode, used with distanceTiers
+    pincodeDistancesKm: {},
+    // Ascending, e.g. [{ upToKm: 3, fee: 20 }, { upToKm: 8, fee: 40 }]; beyond the last tier is not delivered
+    distanceTiers: []
+  }
+};
+
+// Most units of one menu item per order line
+export const MAX_ITEM_QUANTITY = 50;
+
+export class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+export class OrderItemError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderItemError';
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+export const getPricingRules = async () => {
+  const stored = await Setting.getValue('pricing', {});
+  return {
+    ...DEFAULT_PRICING_RULES,
+    ...stored,
+    packaging: { ...DEFAULT_PRICING_RULES.packaging, ...stored.packaging },
+    delivery: { ...DEFAULT_PRICING_RULES.delivery, ...stored.delivery }
+  };
+};
+
+// Returns a list of problems with a pricing rules document (empty when valid)
+export const validatePricingRules = (rules) => {
+  const errors = [];
+
+  if (!isPlainObject(rules)) {
+    return ['Pricing rules must be an object'];
+  }
+
+  const { gstRates, chargesGstRate, packaging, minimumOrderValue, delivery, pricesIncludeTax } = rules;
+
+  if (gstRates !== undefined) {
+    if (!isPlainObject(gstRates)) {
+      errors.push('gstRates must be an object of category: percentage');
+    } else {
+      for (const [category, rate] of Object.entries(gstRates)) {
+        if (!isAmount(rate) || rate > 100) errors.push(`GST rate for "${category}" must be between 0 and 100`);
+      }
+    }
+  }
+  if (pricesIncludeTax !== undefined && typeof pricesIncludeTax !== 'boolean') {
+    errors.push('pricesIncludeTax must be true or false');
+  }
+  if (chargesGstRate !== undefined && (!isAmount(chargesGstRate) || chargesGstRate > 100)) {
+    errors.push('chargesGstRate must be between 0 and 100');
+  }
+  if (minimumOrderValue !== undefined && !isAmount(minimumOrderValue)) {
+    errors.push('minimumOrderValue must be a non-negative number');
+  }
+
+  if (packaging !== undefined) {
+    if (!isPlainObject(packaging)) {
+      errors.push('packaging must be an object');
+    } else {
+      if (packaging.perOrder !== undefined && !isAmount(packaging.perOrder)) {
+        errors.push('packaging.perOrder must be a non-negative number');
+      }
+      if (packaging.perItemByCategory !== undefined) {
+        if (!isPlainObject(packaging.perItemByCategory)
+          || !Object.values(packaging.perItemByCategory).every(isAmount)) {
+          errors.push('packaging.perItemByCategory must map categories to non-negative amounts');
+        }
+      }
+    }
+  }
+
+  if (delivery !== undefined) {
+    if (!isPlainObject(delivery)) {
+      errors.push('delivery must be an object');
+    } else {
+      const { defaultFee, freeDeliveryAbove, pincodeFees, pincodeDistancesKm, distanceTiers } = delivery;
+      if (defaultFee !== undefined && !isAmount(defaultFee)) {
+        errors.push('delivery.defaultFee must be a non-negative number');
+      }
+      if (freeDeliveryAbove !== undefined && freeDeliveryAbove !== null && !isAmount(freeDeliveryAbove)) {
+        errors.push('delivery.freeDeliveryAbove must be a non-negative number or null');
+      }
+      if (pincodeFees !== undefined && (!isPlainObject(pincodeFees) || !Object.values(pincodeFees).every(isAmount))) {
+        errors.push('delivery.pincodeFees must map pincodes to non-negative amounts');
+      }
+      if (pincodeDistancesKm !== undefined
+        && (!isPlainObject(pincodeDistancesKm) || !Object.values(pincodeDistancesKm).every(isAmount))) {
+        errors.push('delivery.pincodeDistancesKm must map pincodes to distances in km');
+      }
+      if (distanceTiers !== undefined) {
+        const validTiers = Array.isArray(distanceTiers)
+          && distanceTiers.every(tier => isPlainObject(tier) && isAmount(tier.upToKm) && isAmount(tier.fee))
+          && distanceTiers.every((tier, i) => i === 0 || tier.upToKm > distanceTiers[i - 1].upToKm);
+        if (!validTiers) {
+          errors.push('delivery.distanceTiers must be a list of { upToKm, fee } sorted by upToKm');
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Pincode fee first, then the distance tier for the pincode, then the default fee
+export const calculateDeliveryFee = (subtotal, pincode, { delivery }) => {
+  if (delivery.freeDeliveryAbove !== null && delivery.freeDeliveryAbove !== undefined
+    && subtotal >= delivery.freeDeliveryAbove) {
+    return 0;
+  }
+
+  // Own keys only: a pincode like "constructor" must not pick up Object.prototype members
+  if (pincode && Object.hasOwn(delivery.pincodeFees, pincode)) {
+    return delivery.pincodeFees[pincode];
+  }
+
+  const distance = pincode && Object.hasOwn(delivery.pincodeDistancesKm, pincode)
+    ? delivery.pincodeDistancesKm[pincode]
+    : undefined;
+  if (distance !== undefined && delivery.distanceTiers.length > 0) {
+    const tier = delivery.distanceTiers.find(t => distance <= t.upToKm);
+    if (!tier) {
+      throw new PricingError(`Sorry, we do not deliver to pincode ${pincode} yet`);
+    }
+    return tier.fee;
+  }
+
+  return delivery.defaultFee;
+};
+
+/**
+ * Price a cart. `items` are { name, category, price, quantity }.
+ * `lineDiscounts` (same order as `items`) come off each line before GST; `freeDelivery` waives the delivery fee.
+ * Returns the order-level totals plus a per-line breakdown in the same order as `items`.
+ */
+export const calculatePricing = (items, { pincode, lineDiscounts = [], freeDelivery = false } = {}, rules = DEFAULT_PRICING_RULES) => {
+  const gstRateFor = (category) => rules.gstRates[category] ?? rules.gstRates.default ?? 0;
+  const taxesByRate = new Map();
+
+  const addTax = (rate, taxableAmount, amount) => {
+    const entry = taxesByRate.get(rate) || { rate, taxableAmount: 0, amount: 0 };
+    entry.taxableAmount += taxableAmount;
+    entry.amount += amount;
+    taxesByRate.set(rate, entry);
+  };
+
+  let subtotal = 0;
+  let discountTotal = 0;
+  let itemPackaging = 0;
+
+  const lines = items.map((item, i) => {
+    const lineTotal = round(item.price * item.quantity);
+    const discount = round(Math.min(lineDiscounts[i] || 0, lineTotal));
+    const netAmount = lineTotal - discount;
+    const gstRate = gstRateFor(item.category);
+    const packagingFee = round((rules.packaging.perItemByCategory[item.category] || 0) * item.quantity);
+
+    // Inclusive prices have the tax taken out of them; exclusive prices have it added on top
+    const taxAmount = rules.pricesIncludeTax
+      ? round(netAmount - netAmount / (1 + gstRate / 100))
+      : round(netAmount * gstRate / 100);
+    const taxableAmount = rules.pricesIncludeTax ? round(netAmount - taxAmount) : netAmount;
+
+    subtotal += lineTotal;
+    discountTotal += discount;
+    itemPackaging += packagingFee;
+    addTax(gstRate, taxableAmount, taxAmount);
+
+    return {
+      lineTotal,
+      discount,
+      gstRate,
+      taxAmount,
+      packagingFee,
+      grossTotal: round(rules.pricesIncludeTax ? netAmount : netAmount + taxAmount)
+    };
+  });
+
+  subtotal = round(subtotal);
+  discountTotal = round(discountTotal);
+
+  if (subtotal < rules.minimumOrderValue) {
+    throw new PricingError(`Minimum order value is ₹${rules.minimumOrderValue}`);
+  }
+
+  const packagingFee = round(itemPackaging + (items.length > 0 ? rules.packaging.perOrder : 0));
+  const standardDeliveryFee = calculateDeliveryFee(subtotal - discountTotal, pincode, rules);
+  const deliveryFee = freeDelivery ? 0 : standardDeliveryFee;
+
+  const chargesTax = round((packagingFee + deliveryFee) * rules.chargesGstRate / 100);
+  if (chargesTax > 0) {
+    addTax(rules.chargesGstRate, packagingFee + deliveryFee, chargesTax);
+  }
+
+  // Intra-state supply: GST is split equally into CGST and SGST on the invoice
+  const taxes = [...taxesByRate.values()]
+    .filter(tax => tax.amount > 0)
+    .sort((a, b) => a.rate - b.rate)
+    .map(tax => ({
+      rate: tax.rate,
+      taxableAmount: round(tax.taxableAmount),
+      cgst: round(tax.amount / 2),
+      sgst: round(tax.amount - round(tax.amount / 2)),
+      amount: round(tax.amount)
+    }));
+
+  const taxTotal = round(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  const addedTax = rules.pricesIncludeTax ? chargesTax : taxTotal;
+  const total = round(subtotal - discountTotal + packagingFee + deliveryFee + addedTax);
+
+  return {
+    lines,
+    subtotal,
+    discountTotal,
+    deliveryDiscount: round(standardDeliveryFee - deliveryFee),
+    packagingFee,
+    deliveryFee,
+    taxes,
+    taxTotal,
+    pricesIncludeTax: rules.pricesIncludeTax,
+    total
+  };
+};
+
+/**
+ * Check the option IDs chosen for a menu item against its variant and modifier groups
+ * (availability and min/max per group) and return them as order item options.
+ * Required groups left empty fall back to their default option.
+ */
+const resolveItemOptions = (menuItem, selectedIds = []) => {
+  if (!Array.isArray(selectedIds)) {
+    throw new OrderItemError(`Invalid options for item "${menuItem.name}"`);
+  }
+
+  const selected = new Set(selectedIds.map(String));
+  if (selected.size !== selectedIds.length) {
+    throw new OrderItemError(`The same option was chosen twice for "${menuItem.name}"`);
+  }
+
+  const groups = [
+    ...menuItem.variantGroups.map(group => ({ group, kind: 'variant' })),
+    ...menuItem.modifierGroups.map(group => ({ group, kind: 'modifier' }))
+  ];
+
+  const resolved = [];
+  let matched = 0;
+
+  for (const { group, kind } of groups) {
+    let chosen = group.options.filter(option => selected.has(String(option._id)));
+    matched += chosen.length;
+
+    if (chosen.length === 0 && group.minSelect > 0) {
+      chosen = group.options.filter(option => option.isDefault && option.isAvailable).slice(0, group.minSelect);
+    }
+
+    const unavailable = chosen.find(option => !option.isAvailable);
+    if (unavailable) {
+      throw new OrderItemError(`"${unavailable.name}" is currently unavailable for "${menuItem.name}"`);
+    }
+
+    const max = group.maxSelect ?? group.options.length;
+    if (chosen.length < group.minSelect || chosen.length > max) {
+      const rule = group.minSelect === max
+        ? `exactly ${max}`
+        : `between ${group.minSelect} and ${max}`;
+      throw new OrderItemError(`Choose ${rule} "${group.name}" option(s) for "${menuItem.name}"`);
+    }
+
+    for (const option of chosen) {
+      resolved.push({
+        group: group.name,
+        kind,
+        option: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta
+      });
+    }
+  }
+
+  if (matched !== selected.size) {
+    throw new OrderItemError(`Unknown option chosen for "${menuItem.name}"`);
+  }
+
+  return resolved;
+};
+
+/**
+ * Validate requested { menuItemId, quantity, options: [optionId] } items against the menu and price them with the current
+ * pricing rules and an optional coupon. Used for checkout, customer order changes and the coupon preview,
+ * so totals are always computed the same way.
+ */
+export const priceOrderItems = async (items, { pincode, couponCode, email, couponHeld = false } = {}) => {
+  const validatedItems = [];
+  const now = new Date();
+  const menuSchedules = await getMenuSchedules();
+
+  for (const item of items) {
+    if (!isPlainObject(item)) {
+      throw new OrderItemError('Each item must be an object with a menuItemId and quantity');
+    }
+
+    // Validate ObjectId format
+    if (!item.menuItemId || !mongoose.Types.ObjectId.isValid(item.menuItemId)) {
+      throw new OrderItemError(`Invalid menu item ID: ${item.menuItemId}`);
+    }
+
+    // Find menu item in database
+    const menuItem = await MenuItem.findById(item.menuItemId);
+    if (!menuItem || menuItem.archivedAt) {
+      throw new OrderItemError(`Menu item "${item.name}" not found or has been removed`);
+    }
+
+    if (!menuItem.isAvailable) {
+      throw new OrderItemError(`Menu item "${menuItem.name}" is currently unavailable`);
+    }
+
+    // Outside the item's (or its category's) serving hours
+    const { availableNow, availableFrom } = menuItemAvailability(menuItem, menuSchedules, now);
+    if (!availableNow) {
+      throw new OrderItemError(availableFrom
+        ? `Menu item "${menuItem.name}" is not served right now (available from ${formatAvailableFrom(availableFrom, now)})`
+        : `Menu item "${menuItem.name}" is not served right now`);
+    }
+
+    // Whole units only: stock and per-item fees are counted per unit
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_ITEM_QUANTITY) {
+      throw new OrderItemError(`Quantity for "${menuItem.name}" must be a whole number from 1 to ${MAX_ITEM_QUANTITY}`);
+    }
+
+    const options = resolveItemOptions(menuItem, item.options);
+    const price = menuItem.price + options.reduce((sum, option) => sum + option.priceDelta, 0);
+
+    validatedItems.push({
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      category: menuItem.category,
+      basePrice: menuItem.price,
+      options,
+      price: Math.max(0, price),
+      quantity: item.quantity,
+      image: menuItem.image
+    });
+  }
+
+  const rules = await getPricingRules();
+
+  let coupon = null;
+  let discounts = {};
+  if (couponCode) {
+    const { subtotal } = calculatePricing(validatedItems, { pincode }, rules);
+    coupon = await findApplicableCoupon(couponCode, { subtotal, email, alreadyHeld: couponHeld });
+    discounts = computeCouponDiscount(coupon, validatedItems, subtotal);
+  }
+
+  const { lines, ...totals } = calculatePricing(validatedItems, { pincode, ...discounts }, rules);
+  lines.forEach((line, i) => Object.assign(validatedItems[i], line));
+
+  if (coupon && totals.discountTotal + totals.deliveryDiscount === 0) {
+    throw new CouponError('This coupon does not apply to the items in your cart');
+  }
+
+  return { validatedItems, totals, coupon };
+};
@@ -0,0 +1,144 @@
+// Pricing carts against the menu. Menu items and settings live in memory instead of MongoDB,
+// so these tests need no database.
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import MenuItem from '../models/MenuItem.js';
+import Setting from '../models/Setting.js';
+import { priceOrderItems } from '../utils/pricingService.js';
+
+const menuItems = new Map();
+let settings = {};
+
+const storeMenuItem = (fields) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    category: 'tea',
+    description: 'Test item',
+    isAvailable: true,
+    ingredients: [],
+    variantGroups: [],
+    modifierGroups: [],
+    ...fields
+  };
+  menuItems.set(String(doc._id), doc);
+  return doc;
+};
+
+before(() => {
+  mock.method(Setting, 'getValue', async (key, defaults) => settings[key] ?? defaults);
+  mock.method(MenuItem, 'findById', async (id) => {
+    const doc = menuItems.get(String(id));
+    return doc && MenuItem.hydrate({ ...doc });
+  });
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  menuItems.clear();
+  settings = {};
+});
+
+describe('priceOrderItems totals', () => {
+  test('default rules: GST is inside the price and delivery is ₹30 below ₹300', async () => {
+    const chai = storeMenuItem({ name: 'Masala Chai', price: 40 });
+
+    const { totals } = await priceOrderItems([{ menuItemId: String(chai._id), quantity: 3 }]);
+    assert.equal(totals.subtotal, 120);
+    assert.equal(totals.deliveryFee, 30);
+    assert.equal(totals.taxTotal, 5.71);
+    assert.equal(totals.total, 150);
+  });
+
+  test('delivery is free from ₹300', async () => {
+    const thali = storeMenuItem({ name: 'Gujarati Thali', price: 150, category: 'gujarati-specials' });
+
+    const { totals } = await priceOrderItems([{ menuItemId: String(thali._id), quantity: 2 }]);
+    assert.equal(totals.deliveryFee, 0);
+    assert.equal(totals.total, 300);
+  });
+
+  test('stored rules: GST on top, packaging and a pincode delivery fee', async () => {
+    settings.pricing = {
+      pricesIncludeTax: false,
+      gstRates: { default: 5, beverages: 12 },
+      packaging: { perOrder: 10, perItemByCategory: { beverages: 5 } },
+      delivery: { defaultFee: 40, freeDeliveryAbove: null, pincodeFees: { 380009: 20 } }
+    };
+    const tea = storeMenuItem({ name: 'Kadak Chai', price: 100 });
+    const lassi = storeMenuItem({ name: 'Lassi', price: 50, category: 'beverages' });
+
+    const { validatedItems, totals } = await priceOrderItems([
+      { menuItemId: String(tea._id), quantity: 2 },
+      { menuItemId: String(lassi._id), quantity: 1 }
+    ], { pincode: '380009' });
+
+    assert.deepEqual(validatedItems.map(item => item.taxAmount), [10, 6]);
+    assert.equal(totals.subtotal, 250);
+    assert.equal(totals.packagingFee, 15);
+    assert.equal(totals.deliveryFee, 20);
+    assert.deepEqual(totals.taxes.map(tax => [tax.rate, tax.amount]), [[5, 10], [12, 6]]);
+    assert.equal(totals.total, 250 + 16 + 15 + 20);
+  });
+
+  test('option price changes are added to the unit price', async () => {
+    const coffee = storeMenuItem({
+      name: 'Cold Coffee',
+      price: 90,
+      category: 'coffee',
+      variantGroups: [{
+        name: 'Size',
+        minSelect: 1,
+        maxSelect: 1,
+        options: [
+          { _id: new mongoose.Types.ObjectId(), name: 'Regular', priceDelta: 0, isDefault: true, isAvailable: true },
+          { _id: new mongoose.Types.ObjectId(), name: 'Large', priceDelta: 30, isAvailable: true }
+        ]
+      }]
+    });
+    const large = coffee.variantGroups[0].options[1]._id;
+
+    const { validatedItems } = await priceOrderItems([{ menuItemId: String(coffee._id), quantity: 2, options: [String(large)] }]);
+    assert.equal(validatedItems[0].price, 120);
+    assert.equal(validatedItems[0].lineTotal, 240);
+    assert.deepEqual(validatedItems[0].options.map(option => option.name), ['Large']);
+
+    const defaults = await priceOrderItems([{ menuItemId: String(coffee._id), quantity: 1 }]);
+    assert.equal(defaults.validatedItems[0].price, 90);
+    assert.deepEqual(defaults.validatedItems[0].options.map(option => option.name), ['Regular']);
+  });
+
+  test('the minimum order value is enforced', async () => {
+    settings.pricing = { minimumOrderValue: 200 };
+    const chai = storeMenuItem({ name: 'Masala Chai', price: 40 });
+
+    await assert.rejects(
+      priceOrderItems([{ menuItemId: String(chai._id), quantity: 1 }]),
+      { name: 'PricingError', message: 'Minimum order value is ₹200' }
+    );
+  });
+});
+
+describe('priceOrderItems quantities', () => {
+  test('accepts whole units', async () => {
+    const chai = storeMenuItem({ name: 'Masala Chai', price: 40 });
+
+    const { validatedItems, totals } = await priceOrderItems([{ menuItemId: String(chai._id), quantity: 3 }]);
+    assert.equal(validatedItems[0].quantity, 3);
+    assert.equal(totals.subtotal, 120);
+  });
+
+  for (const quantity of [0, -1, 1.5, '2', null, 51]) {
+    test(`refuses a quantity of ${JSON.stringify(quantity)}`, async () => {
+      const chai = storeMenuItem({ name: 'Masala Chai', price: 40 });
+
+      await assert.rejects(
+        priceOrderItems([{ menuItemId: String(chai._id), quantity }]),
+        { name: 'OrderItemError', message: 'Quantity for "Masala Chai" must be a whole number from 1 to 50' }
+      );
+    });
+  }
+});
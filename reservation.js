@@ -1,13 +1,79 @@
 import express from 'express';
 import Reservation from '../models/Reservation.js';
-;
+import Table from '../models/Table.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { notifyReservation } from '../utils/notificationService.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { cafeDayRange, isValidDateString } from '../utils/cafeTime.js';
+import {
+  ACTIVE_RESERVATION_STATUSES,
+  assignTables,
+  getAvailability,
+  getReservationSettings,
+  releaseTables,
+  reservationStart
+} from '../utils/reservationService.js';
+import { getOpeningHours, isOpenThroughout, nextOpeningDetails } from '../utils/hoursService.js';
 
 const router = express.Router();
 
+const TABLE_AREAS = Table.schema.path('area').enumValues;
+
+// Start times that still have room, offered when the requested one is full
+const alternativeTimes = async (dateString, guests, area) => {
+  const slots = await getAvailability(dateString, guests, { area });
+  return slots.filter(slot => slot.available).map(slot => slot.time);
+};
+
+// GET /api/reservations/availability - Bookable times on a date for a party size
+router.get('/availability', async (req, res) => {
+  try {
+    const { date, area } = req.query;
+    const guests = Number(req.query.guests);
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be YYYY-MM-DD'
+      });
+    }
+
+    if (!Number.isInteger(guests) || guests < 1 || guests > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'guests must be a whole number from 1 to 20'
+      });
+    }
+
+    if (area !== undefined && !TABLE_AREAS.includes(area)) {
+      return res.status(400).json({
+        success: false,
+        message: `area must be one of: ${TABLE_AREAS.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        guests,
+        slots: await getAvailability(date, guests, { area })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
 // POST /api/reservations - Create new reservation
-router.post('/', async (req, res) => {
+router.post('/', idempotency(), async (req, res) => {
   try {
-    const { name, email, phone, date, time, guests, specialRequests } = req.body;
+    const { name, email, phone, date, time, guests, specialRequests, area } = req.body;
 
     // Validate required fields
     if (!name || !email || !phone || !date || !time || !guests) {
@@ -17,34 +83,94 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate date is in the future
-    const reservationDate = new Date(date);
-    if (reservationDate <= new Date()) {
+    // One instant in café time, however the server's clock is set
+    const startsAt = reservationStart(date, time);
+    if (!startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid date (YYYY-MM-DD) and time (HH:MM)'
+      });
+    }
+
+    if (startsAt <= new Date()) {
       return res.status(400).json({
         success: false,
-        message: 'Reservation date must be in the future'
+        message: 'Reservation time must be in the future'
       });
     }
 
+    if (area !== undefined && !TABLE_AREAS.includes(area)) {
+      return res.status(400).json({
+        success: false,
+        message: `area must be one of: ${TABLE_AREAS.join(', ')}`
+      });
+    }
+
+    const { turnMinutes } = await getReservationSettings();
+
     // Create new reservation
     const newReservation = new Reservation({
       name,
       email,
       phone,
-      date: reservationDate,
-      time,
+      startsAt,
+      durationMinutes: turnMinutes,
       guests,
       specialRequests
     });
 
-    const savedReservation = await newReservation.save();
+    // Check the details before holding any tables
+    await newReservation.validate();
+
+    const { date: dateString, endsAt } = newReservation;
+
+    // The table must be free until the end of the turn, so the café has to stay open that long
+    const openingHours = await getOpeningHours();
+    if (!isOpenThroughout(openingHours, startsAt, endsAt)) {
+      const next = nextOpeningDetails(openingHours, startsAt);
+      return res.status(400).json({
+        success: false,
+        message: 'We are not open for reservations at that time',
+        data: {
+          ...next,
+          alternativeTimes: await alternativeTimes(dateString, newReservation.guests, area)
+        }
+      });
+    }
+
+    const tableNumbers = await assignTables({
+      reservationId: newReservation._id,
+      start: startsAt,
+      end: endsAt,
+      guests: newReservation.guests,
+      area
+    });
+
+    if (!tableNumbers) {
+      return res.status(409).json({
+        success: false,
+        message: 'No table is free for that many guests at this time',
+        data: {
+          alternativeTimes: await alternativeTimes(dateString, newReservation.guests, area)
+        }
+      });
+    }
+
+    newReservation.tableNumbers = tableNumbers;
 
-    // Send confirmation email (optional)
+    let savedReservation;
     try {
-      await sendReservationEmail(savedReservation);
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the request if email fails
+      savedReservation = await newReservation.save();
+    } catch (saveError) {
+      await releaseTables(newReservation._id);
+      throw saveError;
+    }
+
+    // Queue confirmation email (don't fail the request if queueing fails)
+    try {
+      await notifyReservation(savedReservation);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
     }
 
     res.status(201).json({
@@ -56,7 +182,10 @@ router.post('/', async (req, res) => {
         email: savedReservation.email,
         date: savedReservation.date,
         time: savedReservation.time,
+        startsAt: savedReservation.startsAt,
+        endsAt: savedReservation.endsAt,
         guests: savedReservation.guests,
+        tableNumbers: savedReservation.tableNumbers,
         status: savedReservation.status,
         createdAt: savedReservation.createdAt
       }
@@ -82,21 +211,27 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/reservations - Get all reservations (admin only)
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, date } = req.query;
     
+    if (date !== undefined && !isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be YYYY-MM-DD'
+      });
+    }
+
     const query = {};
     if (status) query.status = status;
     if (date) {
-      const startDate = new Date(date);
-      const endDate = new Date(date);
-      endDate.setDate(endDate.getDate() + 1);
-      query.date = { $gte: startDate, $lt: endDate };
+      // The café's day, not the server's
+      const { start, end } = cafeDayRange(date);
+      query.startsAt = { $gte: start, $lt: end };
     }
 
     const reservations = await Reservation.find(query)
-      .sort({ date: 1, time: 1 })
+      .sort({ startsAt: 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .select('-__v');
@@ -151,11 +286,11 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/reservations/:id/status - Update reservation status
-router.put('/:id/status', async (req, res) => {
+// PUT /api/reservations/:id/status - Update reservation status (admin only)
+router.put('/:id/status', authenticateToken, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, tableNumber } = req.body;
+    const { status, tableNumber, tableNumbers } = req.body;
 
     if (!['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
       return res.status(400).json({
@@ -164,9 +299,47 @@ router.put('/:id/status', async (req, res) => {
       });
     }
 
-    const updateData = { status };
-    if (tableNumber && status === 'confirmed') {
-      updateData.tableNumber = tableNumber;
+    // Staff may pick the table(s) themselves; otherwise the best fit is suggested
+    const requestedTables = tableNumbers ?? (tableNumber !== undefined ? [tableNumber] : undefined);
+    if (requestedTables !== undefined && (!Array.isArray(requestedTables) || requestedTables.length === 0
+      || !requestedTables.every(number => Number.isInteger(number) && number >= 1))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Table numbers must be whole numbers of at least 1'
+      });
+    }
+
+    const existing = await Reservation.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    const updateData = { status, updatedAt: new Date() };
+    const isActive = ACTIVE_RESERVATION_STATUSES.includes(status);
+    const holdsTables = ACTIVE_RESERVATION_STATUSES.includes(existing.status) && existing.tableNumbers.length > 0;
+
+    if (isActive && (requestedTables || !holdsTables)) {
+      const assigned = await assignTables({
+        reservationId: existing._id,
+        start: existing.startsAt,
+        end: existing.endsAt,
+        guests: existing.guests,
+        tableNumbers: requestedTables
+      });
+
+      if (!assigned) {
+        return res.status(409).json({
+          success: false,
+          message: requestedTables
+            ? 'Those tables are not free at this time'
+            : 'No table is free for that many guests at this time'
+        });
+      }
+      updateData.tableNumbers = assigned;
     }
 
     const reservation = await Reservation.findByIdAndUpdate(
@@ -175,6 +348,10 @@ router.put('/:id/status', async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    if (!reservation || !isActive) {
+      await releaseTables(existing._id);
+    }
+
     if (!reservation) {
       return res.status(404).json({
         success: false,
@@ -182,6 +359,15 @@ router.put('/:id/status', async (req, res) => {
       });
     }
 
+    // Email the guest when the booking is confirmed or cancelled
+    if (['confirmed', 'cancelled'].includes(status)) {
+      try {
+        await notifyReservation(reservation);
+      } catch (notifyError) {
+        console.error('Queueing notification failed:', notifyError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Reservation status updated successfully',
@@ -204,7 +390,7 @@ router.delete('/:id', async (req, res) => {
     
     const reservation = await Reservation.findByIdAndUpdate(
       id,
-      { status: 'cancelled' },
+      { status: 'cancelled', updatedAt: new Date() },
       { new: true }
     );
 
@@ -215,6 +401,14 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    await releaseTables(reservation._id);
+
+    try {
+      await notifyReservation(reservation);
+    } catch (notifyError) {
+      console.error('Queueing notification failed:', notifyError);
+    }
+
     res.json({
       success: true,
       message: 'Reservation cancelled successfully',
@@ -0,0 +1,253 @@
+import Setting from '../models/Setting.js';
+import Table from '../models/Table.js';
+import TableBooking from '../models/TableBooking.js';
+import {
+  cafeDateString,
+  cafeDateTime,
+  isValidDateString,
+  isValidTimeString,
+  minutesToTime,
+  timeToMinutes
+} from './cafeTime.js';
+import { getOpeningHours, isOpenThroughout } from './hoursService.js';
+
+// Used until an admin saves reservation settings through PUT /api/settings/reservations
+export const DEFAULT_RESERVATION_SETTINGS = {
+  // How long a party keeps its table
+  turnMinutes: 90,
+  // Bookable start times are this far apart
+  slotMinutes: 30,
+  firstSeating: '08:00',
+  lastSeating: '21:30',
+  // Most tables pushed together for one party
+  maxCombinedTables: 3
+};
+
+// Reservation statuses that hold a table
+export const ACTIVE_RESERVATION_STATUSES = ['pending', 'confirmed'];
+
+export const getReservationSettings = async () => ({
+  ...DEFAULT_RESERVATION_SETTINGS,
+  ...(await Setting.getValue('reservations', {}))
+});
+
+// Returns a list of problems with a reservation settings document (empty when valid)
+export const validateReservationSettings = (settings) => {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Reservation settings must be an object'];
+  }
+
+  const errors = [];
+  const { turnMinutes, slotMinutes, firstSeating, lastSeating, maxCombinedTables } = settings;
+  const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (turnMinutes !== undefined && !isWholeNumber(turnMinutes, 15, 360)) {
+    errors.push('turnMinutes must be a whole number between 15 and 360');
+  }
+  if (slotMinutes !== undefined && !isWholeNumber(slotMinutes, 5, 120)) {
+    errors.push('slotMinutes must be a whole number between 5 and 120');
+  }
+  if (maxCombinedTables !== undefined && !isWholeNumber(maxCombinedTables, 1, 4)) {
+    errors.push('maxCombinedTables must be between 1 and 4');
+  }
+  for (const [field, value] of [['firstSeating', firstSeating], ['lastSeating', lastSeating]]) {
+    if (value !== undefined && !isValidTimeString(value)) errors.push(`${field} must be HH:MM`);
+  }
+  // Compare against the defaults when only one of the two is given
+  const first = firstSeating ?? DEFAULT_RESERVATION_SETTINGS.firstSeating;
+  const last = lastSeating ?? DEFAULT_RESERVATION_SETTINGS.lastSeating;
+  if (isValidTimeString(first) && isValidTimeString(last) && timeToMinutes(first) > timeToMinutes(last)) {
+    errors.push('firstSeating must not be after lastSeating');
+  }
+
+  return errors;
+};
+
+// "9:30" → "09:30"
+export const normalizeTime = (time) => (/^\d:/.test(time) ? `0${time}` : time);
+
+/**
+ * The instant a guest means by a date and an HH:MM time, read as café time (IST) whatever the
+ * server's timezone. `date` is YYYY-MM-DD, or a full timestamp whose café date is used.
+ * Returns null when either is invalid.
+ */
+export const reservationStart = (date, time) => {
+  // A timestamp's own date has to exist too, or 2026-02-31T… would quietly become March
+  const isTimestamp = typeof date === 'string' && isValidDateString(date.slice(0, 10)) && !Number.isNaN(Date.parse(date));
+  if (!isValidDateString(date) && !isTimestamp) {
+    return null;
+  }
+  const normalized = typeof time === 'string' ? normalizeTime(time.trim()) : time;
+  if (!isValidTimeString(normalized)) {
+    return null;
+  }
+  const dateString = isValidDateString(date) ? date : cafeDateString(new Date(date));
+  return cafeDateTime(dateString, normalized);
+};
+
+// [start, end) of a reservation on a café date (YYYY-MM-DD) at HH:MM
+export const reservationWindow = (dateString, time, { turnMinutes }) => {
+  const start = cafeDateTime(dateString, normalizeTime(time));
+  return { start, end: new Date(start.getTime() + turnMinutes * 60 * 1000) };
+};
+
+// Slot-grid starts overlapping [start, end); a 19:15 booking on a 30-minute grid also holds 19:00
+const slotsBetween = (start, end, { slotMinutes }) => {
+  const step = slotMinutes * 60 * 1000;
+  const slots = [];
+  for (let slot = Math.floor(start.getTime() / step) * step; slot < end.getTime(); slot += step) {
+    slots.push(new Date(slot));
+  }
+  return slots;
+};
+
+// Every set of up to `maxSize` tables in which each table may be combined with all the others
+const combinations = (tables, maxSize) => {
+  const byNumber = new Map(tables.map(table => [table.number, table]));
+  const canJoin = (a, b) => a.combinableWith.includes(b.number) || b.combinableWith.includes(a.number);
+
+  const results = tables.map(table => [table]);
+  let current = results.slice();
+  for (let size = 2; size <= maxSize; size++) {
+    const next = [];
+    for (const group of current) {
+      const last = group[group.length - 1];
+      for (const table of tables) {
+        if (table.number > last.number && group.every(member => canJoin(member, byNumber.get(table.number)))) {
+          next.push([...group, table]);
+        }
+      }
+    }
+    results.push(...next);
+    current = next;
+  }
+  return results;
+};
+
+/**
+ * Table sets that seat `guests` from the free tables, best first: the fewest spare seats,
+ * then the fewest tables pushed together. Returns arrays of table numbers.
+ */
+export const rankTableOptions = (tables, guests, { maxCombinedTables, area } = {}) => {
+  const candidates = area ? tables.filter(table => table.area === area) : tables;
+
+  return combinations(candidates, maxCombinedTables || 1)
+    .map(group => ({ group, seats: group.reduce((sum, table) => sum + table.capacity, 0) }))
+    .filter(({ seats }) => seats >= guests)
+    .sort((a, b) => (a.seats - b.seats) || (a.group.length - b.group.length))
+    .map(({ group }) => group.map(table => table.number));
+};
+
+// Active tables that are not held by another reservation anywhere in [start, end)
+const freeTables = async (start, end, settings, reservationId) => {
+  const slots = slotsBetween(start, end, settings);
+  const held = await TableBooking.distinct('tableNumber', {
+    slot: { $in: slots },
+    reservation: { $ne: reservationId }
+  });
+  return Table.find({ isActive: true, number: { $nin: held } }).sort({ number: 1 });
+};
+
+// Hold the tables for every slot; if any slot is already taken nothing is held and false is returned
+const claimTables = async (reservationId, tableNumbers, start, end, settings) => {
+  const docs = slotsBetween(start, end, settings).flatMap(slot =>
+    tableNumbers.map(tableNumber => ({ tableNumber, slot, reservation: reservationId })));
+
+  try {
+    await TableBooking.insertMany(docs, { ordered: true });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    await TableBooking.deleteMany({ reservation: reservationId, tableNumber: { $in: tableNumbers } });
+    return false;
+  }
+};
+
+// Hold particular tables as they are, without looking for others; false when any of them is taken
+export const holdTables = async (reservationId, tableNumbers, start, end) =>
+  claimTables(reservationId, tableNumbers, start, end, await getReservationSettings());
+
+export const releaseTables = (reservationId) => TableBooking.deleteMany({ reservation: reservationId });
+
+/**
+ * Find and hold the best-fitting free table(s) for a reservation over [start, end).
+ * `tableNumbers` forces a particular choice (e.g. staff seating a party by the window).
+ * Returns the table numbers held, or null when nothing fits, in which case the reservation
+ * keeps what it held before.
+ */
+export const assignTables = async ({ reservationId, start, end, guests, area, tableNumbers }) => {
+  const settings = await getReservationSettings();
+
+  const previous = await TableBooking.find({ reservation: reservationId }).lean();
+  await releaseTables(reservationId);
+
+  const free = await freeTables(start, end, settings, reservationId);
+  let options;
+  if (tableNumbers) {
+    const freeNumbers = free.map(table => table.number);
+    options = tableNumbers.every(number => freeNumbers.includes(number)) ? [tableNumbers] : [];
+  } else {
+    options = rankTableOptions(free, guests, { ...settings, area });
+  }
+
+  // Someone may take a table between reading and claiming; fall through to the next option
+  for (const option of options.slice(0, 5)) {
+    if (await claimTables(reservationId, option, start, end, settings)) {
+      return option;
+    }
+  }
+
+  if (previous.length > 0) {
+    await TableBooking.insertMany(previous, { ordered: false }).catch(error => {
+      if (error.code !== 11000) throw error;
+    });
+  }
+  return null;
+};
+
+/**
+ * Bookable start times on a café date for a party, with the table(s) that would be suggested.
+ * Returns [{ time, available, tables }].
+ */
+export const getAvailability = async (dateString, guests, { area } = {}) => {
+  const settings = await getReservationSettings();
+  const openingHours = await getOpeningHours();
+  const now = new Date();
+
+  // Only start times where the party can stay for the whole turn before closing
+  const times = [];
+  for (let minutes = timeToMinutes(settings.firstSeating); minutes <= timeToMinutes(settings.lastSeating); minutes += settings.slotMinutes) {
+    const time = minutesToTime(minutes);
+    const { start, end } = reservationWindow(dateString, time, settings);
+    if (start > now && isOpenThroughout(openingHours, start, end)) {
+      times.push(time);
+    }
+  }
+  if (times.length === 0) {
+    return [];
+  }
+
+  // Read the day's tables and holds once instead of once per slot
+  const first = reservationWindow(dateString, times[0], settings);
+  const last = reservationWindow(dateString, times[times.length - 1], settings);
+  const tables = await Table.find({ isActive: true }).sort({ number: 1 });
+  const bookings = await TableBooking.find({
+    slot: { $gte: slotsBetween(first.start, first.end, settings)[0], $lt: last.end }
+  }).select('tableNumber slot');
+
+  const slots = [];
+  for (const time of times) {
+    const { start, end } = reservationWindow(dateString, time, settings);
+    const slotTimes = new Set(slotsBetween(start, end, settings).map(slot => slot.getTime()));
+    const held = new Set(bookings
+      .filter(booking => slotTimes.has(booking.slot.getTime()))
+      .map(booking => booking.tableNumber));
+
+    const [best] = rankTableOptions(tables.filter(table => !held.has(table.number)), guests, { ...settings, area });
+    slots.push({ time, available: Boolean(best), tables: best || [] });
+  }
+
+  return slots;
+};
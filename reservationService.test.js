@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankTableOptions, validateReservationSettings } from '../utils/reservationService.js';
+
+// Indoor 1-3 can be pushed together (1 with 2, 2 with 3); 4 is a big outdoor table
+const tables = [
+  { number: 1, capacity: 2, area: 'indoor', combinableWith: [2] },
+  { number: 2, capacity: 4, area: 'indoor', combinableWith: [1, 3] },
+  { number: 3, capacity: 4, area: 'indoor', combinableWith: [2] },
+  { number: 4, capacity: 8, area: 'outdoor', combinableWith: [] }
+];
+
+describe('rankTableOptions', () => {
+  test('puts the table with the fewest spare seats first', () => {
+    assert.deepEqual(rankTableOptions(tables, 2, { maxCombinedTables: 1 }), [[1], [2], [3], [4]]);
+    assert.deepEqual(rankTableOptions(tables, 3, { maxCombinedTables: 1 })[0], [2]);
+  });
+
+  test('combines tables only when allowed and only tables that can be joined', () => {
+    assert.deepEqual(rankTableOptions(tables, 6, { maxCombinedTables: 1 }), [[4]]);
+    assert.deepEqual(rankTableOptions(tables, 6, { maxCombinedTables: 2 }), [[1, 2], [4], [2, 3]]);
+  });
+
+  test('uses fewer tables when the spare seats are equal', () => {
+    // 1 and 3 cannot be joined, so all three indoor tables together is not an option
+    assert.deepEqual(rankTableOptions(tables, 8, { maxCombinedTables: 3 }), [[4], [2, 3]]);
+  });
+
+  test('keeps to the requested area', () => {
+    assert.deepEqual(rankTableOptions(tables, 4, { maxCombinedTables: 2, area: 'outdoor' }), [[4]]);
+  });
+
+  test('returns nothing when the party is too big', () => {
+    assert.deepEqual(rankTableOptions(tables, 12, { maxCombinedTables: 3 }), []);
+  });
+});
+
+describe('validateReservationSettings', () => {
+  test('accepts partial settings', () => {
+    assert.deepEqual(validateReservationSettings({ turnMinutes: 120 }), []);
+  });
+
+  test('checks seatings against each other and the defaults', () => {
+    assert.deepEqual(validateReservationSettings({ firstSeating: '22:00' }), ['firstSeating must not be after lastSeating']);
+    assert.deepEqual(validateReservationSettings({ slotMinutes: 1, maxCombinedTables: 9 }), [
+      'slotMinutes must be a whole number between 5 and 120',
+      'maxCombinedTables must be between 1 and 4'
+    ]);
+  });
+});
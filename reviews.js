@@ -0,0 +1,156 @@
+import express from 'express';
+import MenuItem from '../models/MenuItem.js';
+import Review from '../models/Review.js';
+import { authenticateToken, requireRole } from './auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin', 'manager'));
+
+// GET /api/reviews - Reviews waiting for moderation, or filtered by status / item (admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', menuItemId } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (menuItemId) query.menuItem = menuItemId;
+
+    const reviews = await Review.find(query)
+      .populate('menuItem', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// PUT /api/reviews/:id/status - Approve or reject a review (admin only)
+router.put('/:id/status', async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be "approved" or "rejected"'
+      });
+    }
+
+    // Read the previous status in the same step, so the rating is only adjusted once
+    const previous = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: status } },
+      {
+        status,
+        moderatedBy: { userId: req.user.userId, email: req.user.email },
+        moderatedAt: new Date(),
+        moderationNote: typeof note === 'string' ? note : undefined,
+        updatedAt: new Date()
+      },
+      { runValidators: true }
+    );
+
+    if (!previous) {
+      const exists = await Review.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? `Review is already ${status}` : 'Review not found'
+      });
+    }
+
+    if (status === 'approved') {
+      await MenuItem.applyReviewRating(previous.menuItem, previous.rating, 1);
+    } else if (previous.status === 'approved') {
+      await MenuItem.applyReviewRating(previous.menuItem, previous.rating, -1);
+    }
+
+    res.json({
+      success: true,
+      message: `Review ${status}`,
+      data: await Review.findById(previous._id).select('-__v')
+    });
+
+  } catch (error) {
+    console.error('Moderate review error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// DELETE /api/reviews/:id - Delete a review (admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.status === 'approved') {
+      await MenuItem.applyReviewRating(review.menuItem, review.rating, -1);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
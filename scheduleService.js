@@ -0,0 +1,153 @@
+import Setting from '../models/Setting.js';
+import {
+  CAFE_TIMEZONE,
+  addDays,
+  cafeClock,
+  cafeDateTime,
+  isValidDateString,
+  isValidTimeString,
+  timeToMinutes
+} from './cafeTime.js';
+
+// How far ahead to look for the next time a scheduled item can be ordered
+const LOOKAHEAD_DAYS = 14;
+
+const MENU_CATEGORIES = ['coffee', 'tea', 'snacks', 'desserts', 'gujarati-specials', 'beverages'];
+
+// Used until an admin saves category schedules through PUT /api/settings/menu-schedules
+export const DEFAULT_MENU_SCHEDULES = {
+  // Schedule per menu category, e.g. { 'gujarati-specials': [{ days: [0, 6] }] }
+  categories: {}
+};
+
+/*
+ * A schedule is a list of windows; an item is available when any window matches.
+ * An empty schedule means all day, every day. Every field of a window is optional:
+ *   { label: 'Breakfast', days: [1, 2, 3, 4, 5], startTime: '08:00', endTime: '11:30',
+ *     startDate: '2026-10-20', endDate: '2026-11-05' }
+ * days are 0 (Sunday) - 6, times and dates are café time (IST), endTime is exclusive
+ * and the date range inclusive.
+ */
+
+// Returns a list of problems with a schedule (empty when valid)
+export const validateSchedule = (windows, path = 'schedule') => {
+  if (!Array.isArray(windows)) {
+    return [`${path} must be a list of time windows`];
+  }
+
+  const errors = [];
+  windows.forEach((window, i) => {
+    const at = `${path}[${i}]`;
+    if (window === null || typeof window !== 'object' || Array.isArray(window)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    const { days, startTime, endTime, startDate, endDate } = window;
+    if (days !== undefined && (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      errors.push(`${at}.days must list weekdays from 0 (Sunday) to 6 (Saturday)`);
+    }
+    for (const [field, value] of [['startTime', startTime], ['endTime', endTime]]) {
+      if (value !== undefined && !isValidTimeString(value)) errors.push(`${at}.${field} must be HH:MM`);
+    }
+    for (const [field, value] of [['startDate', startDate], ['endDate', endDate]]) {
+      if (value !== undefined && !isValidDateString(value)) errors.push(`${at}.${field} must be YYYY-MM-DD`);
+    }
+    if (isValidTimeString(startTime) && isValidTimeString(endTime) && timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+      errors.push(`${at}.startTime must be before endTime`);
+    }
+    if (isValidDateString(startDate) && isValidDateString(endDate) && startDate > endDate) {
+      errors.push(`${at}.startDate must not be after endDate`);
+    }
+  });
+
+  return errors;
+};
+
+export const getMenuSchedules = async () => {
+  const stored = await Setting.getValue('menu-schedules', {});
+  return {
+    ...DEFAULT_MENU_SCHEDULES,
+    ...stored,
+    categories: { ...DEFAULT_MENU_SCHEDULES.categories, ...stored.categories }
+  };
+};
+
+export const validateMenuSchedules = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Menu schedules must be an object'];
+  }
+
+  const { categories = {} } = value;
+  if (categories === null || typeof categories !== 'object' || Array.isArray(categories)) {
+    return ['categories must be an object of category: schedule'];
+  }
+
+  return Object.entries(categories).flatMap(([category, windows]) => MENU_CATEGORIES.includes(category)
+    ? validateSchedule(windows, `categories.${category}`)
+    : [`Unknown menu category "${category}"`]);
+};
+
+const windowMatches = (window, { date, weekday, minutes }) => {
+  if (window.days?.length && !window.days.includes(weekday)) return false;
+  if (window.startDate && date < window.startDate) return false;
+  if (window.endDate && date > window.endDate) return false;
+  if (window.startTime && minutes < timeToMinutes(window.startTime)) return false;
+  if (window.endTime && minutes >= timeToMinutes(window.endTime)) return false;
+  return true;
+};
+
+export const isScheduledAt = (windows = [], at = new Date()) => {
+  if (windows.length === 0) {
+    return true;
+  }
+  const clock = cafeClock(at);
+  return windows.some(window => windowMatches(window, clock));
+};
+
+// Earliest instant after `from` when every schedule is open, or null if none within LOOKAHEAD_DAYS.
+// Availability can only begin at the start of some window, so those are the only candidates.
+export const nextScheduledStart = (schedules, from = new Date()) => {
+  const today = cafeClock(from).date;
+  const windows = schedules.flat();
+
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const date = addDays(today, day);
+    const candidates = [...new Set(windows.map(window => window.startTime || '00:00'))]
+      .map(time => cafeDateTime(date, time))
+      .filter(instant => instant > from)
+      .sort((a, b) => a - b);
+
+    const opening = candidates.find(instant => schedules.every(schedule => isScheduledAt(schedule, instant)));
+    if (opening) {
+      return opening;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether a menu item can be ordered at `at`, going by its own schedule and its category's.
+ * Returns { availableNow, availableFrom } where availableFrom is the next opening (or null).
+ */
+export const menuItemAvailability = (menuItem, menuSchedules, at = new Date()) => {
+  const schedules = [menuItem.schedule || [], menuSchedules.categories[menuItem.category] || []]
+    .filter(schedule => schedule.length > 0);
+
+  if (schedules.every(schedule => isScheduledAt(schedule, at))) {
+    return { availableNow: true, availableFrom: null };
+  }
+
+  return { availableNow: false, availableFrom: nextScheduledStart(schedules, at) };
+};
+
+// "11:00" when it is later today, otherwise "Sat 11:00" (café time)
+export const formatAvailableFrom = (instant, now = new Date()) => {
+  const time = new Intl.DateTimeFormat('en-GB', { timeZone: CAFE_TIMEZONE, hour: '2-digit', minute: '2-digit' }).format(instant);
+  if (cafeClock(instant).date === cafeClock(now).date) {
+    return time;
+  }
+  const weekday = new Intl.DateTimeFormat('en-GB', { timeZone: CAFE_TIMEZONE, weekday: 'short' }).format(instant);
+  return `${weekday} ${time}`;
+};
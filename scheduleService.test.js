@@ -0,0 +1,80 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cafeDateTime } from '../utils/cafeTime.js';
+import { menuItemAvailability, validateMenuSchedules, validateSchedule } from '../utils/scheduleService.js';
+
+const at = (date, time) => cafeDateTime(date, time);
+
+describe('validateSchedule', () => {
+  test('accepts an empty schedule and full windows', () => {
+    assert.deepEqual(validateSchedule([]), []);
+    assert.deepEqual(validateSchedule([
+      { label: 'Breakfast', days: [1, 2, 3, 4, 5], startTime: '08:00', endTime: '11:30' },
+      { startDate: '2026-10-20', endDate: '2026-11-05' }
+    ]), []);
+  });
+
+  test('reports each problem with the window it belongs to', () => {
+    assert.deepEqual(validateSchedule([
+      null,
+      { days: [7], startTime: '8am' },
+      { startTime: '12:00', endTime: '11:00' },
+      { startDate: '2026-11-05', endDate: '2026-10-20' },
+      { endDate: '2026-02-30' }
+    ]), [
+      'schedule[0] must be an object',
+      'schedule[1].days must list weekdays from 0 (Sunday) to 6 (Saturday)',
+      'schedule[1].startTime must be HH:MM',
+      'schedule[2].startTime must be before endTime',
+      'schedule[3].startDate must not be after endDate',
+      'schedule[4].endDate must be YYYY-MM-DD'
+    ]);
+  });
+
+  test('is not a list', () => {
+    assert.deepEqual(validateSchedule({}, 'categories.tea'), ['categories.tea must be a list of time windows']);
+  });
+});
+
+describe('validateMenuSchedules', () => {
+  test('only knows the menu categories', () => {
+    assert.deepEqual(validateMenuSchedules({ categories: { tea: [], pizza: [] } }), ['Unknown menu category "pizza"']);
+  });
+});
+
+describe('menuItemAvailability', () => {
+  // Weekday breakfast; 2026-10-19 is a Monday
+  const breakfast = [{ days: [1, 2, 3, 4, 5], startTime: '08:00', endTime: '11:30' }];
+  const noCategorySchedules = { categories: {} };
+
+  test('an item without schedules is always available', () => {
+    assert.deepEqual(
+      menuItemAvailability({ category: 'tea' }, noCategorySchedules, at('2026-10-19', '03:00')),
+      { availableNow: true, availableFrom: null }
+    );
+  });
+
+  test('an item inside its window is available', () => {
+    const { availableNow } = menuItemAvailability({ category: 'snacks', schedule: breakfast }, noCategorySchedules, at('2026-10-19', '09:00'));
+    assert.equal(availableNow, true);
+  });
+
+  test('after the window, the next opening is the following weekday morning', () => {
+    assert.deepEqual(
+      menuItemAvailability({ category: 'snacks', schedule: breakfast }, noCategorySchedules, at('2026-10-19', '11:30')),
+      { availableNow: false, availableFrom: at('2026-10-20', '08:00') }
+    );
+  });
+
+  test('the item and its category must both be open', () => {
+    const weekends = { categories: { snacks: [{ days: [0, 6] }] } };
+    const { availableNow, availableFrom } = menuItemAvailability(
+      { category: 'snacks', schedule: [{ startTime: '08:00', endTime: '11:30' }] },
+      weekends,
+      at('2026-10-19', '09:00')
+    );
+    assert.equal(availableNow, false);
+    // Saturday 2026-10-24
+    assert.deepEqual(availableFrom, at('2026-10-24', '08:00'));
+  });
+});
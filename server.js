@@ -13,10 +13,26 @@ import menuRoutes from './routes/menu.js';
 import reservationRoutes from './routes/reservation.js';
 import authRoutes from './routes/auth.js';
 import orderRoutes from './routes/orders.js';
+import notificationRoutes from './routes/notifications.js';
+import paymentRoutes from './routes/payments.js';
+import settingRoutes from './routes/settings.js';
+import couponRoutes from './routes/coupons.js';
+import inventoryRoutes from './routes/inventory.js';
+import reviewRoutes from './routes/reviews.js';
+import tableRoutes from './routes/tables.js';
+import hoursRoutes from './routes/hours.js';
+import { startNotificationWorker } from './utils/notificationService.js';
+import { uploadDir } from './utils/localImageStorage.js';
 
 // Load environment variables
 dotenv.config();
 
+// Never sign tokens with the development fallback secret in production
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 5001;
 
@@ -36,7 +52,13 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB connection
@@ -50,15 +72,44 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cafe-ahme
   // Import MenuItem model and create defaults
   const { default: MenuItem } = await import('./models/MenuItem.js');
   await MenuItem.createDefaults();
+
+  // Seed a floor plan so reservations can be given tables
+  const { default: Table } = await import('./models/Table.js');
+  await Table.createDefaults();
+
+  // Seed the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD
+  const { default: User } = await import('./models/User.js');
+  await User.createDefaultAdmin();
+
+  // Deliver queued emails in the background
+  startNotificationWorker();
 })
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Uploaded menu images. File names change with the content, so they can be cached for a year;
+// helmet's same-origin resource policy would stop the frontend from showing them
+app.use('/uploads', express.static(uploadDir(), {
+  immutable: true,
+  maxAge: '365d',
+  setHeaders: (res) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
 // Routes
 app.use('/api/contact', contactRoutes);
 app.use('/api/menu', menuRoutes);
 app.use('/api/reservations', reservationRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/hours', hoursRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,103 @@
+import express from 'express';
+import Setting from '../models/Setting.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { getPricingRules, validatePricingRules } from '../utils/pricingService.js';
+import { getMenuSchedules, validateMenuSchedules } from '../utils/scheduleService.js';
+import { getReservationSettings, validateReservationSettings } from '../utils/reservationService.js';
+import { getOpeningHours, validateOpeningHours } from '../utils/hoursService.js';
+
+const router = express.Router();
+
+// Settings that can be edited here: how to read the effective value and how to validate a new one
+const settingDefinitions = {
+  pricing: {
+    load: getPricingRules,
+    validate: validatePricingRules
+  },
+  'menu-schedules': {
+    load: getMenuSchedules,
+    validate: validateMenuSchedules
+  },
+  reservations: {
+    load: getReservationSettings,
+    validate: validateReservationSettings
+  },
+  'opening-hours': {
+    load: getOpeningHours,
+    validate: validateOpeningHours
+  }
+};
+
+// GET /api/settings/:key - Get the effective value of a setting
+router.get('/:key', async (req, res) => {
+  try {
+    // Own keys only, so "constructor" or "toString" are not mistaken for settings
+    const definition = Object.hasOwn(settingDefinitions, req.params.key) ? settingDefinitions[req.params.key] : null;
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Setting not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await definition.load()
+    });
+
+  } catch (error) {
+    console.error('Get setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// PUT /api/settings/:key - Replace a setting (admin only)
+router.put('/:key', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const definition = Object.hasOwn(settingDefinitions, key) ? settingDefinitions[key] : null;
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Setting not found'
+      });
+    }
+
+    const errors = definition.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    await Setting.findOneAndUpdate(
+      { key },
+      {
+        value: req.body,
+        updatedBy: { userId: req.user.userId, email: req.user.email },
+        updatedAt: new Date()
+      },
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Setting updated successfully',
+      data: await definition.load()
+    });
+
+  } catch (error) {
+    console.error('Update setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;
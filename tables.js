@@ -0,0 +1,171 @@
+import express from 'express';
+import Table from '../models/Table.js';
+import { authenticateToken, requireRole } from './auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin', 'manager'));
+
+const TABLE_FIELDS = ['number', 'capacity', 'area', 'combinableWith', 'isActive'];
+
+const pickTableFields = (body) => Object.fromEntries(
+  TABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// GET /api/tables - Floor plan, including deactivated tables (admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { area } = req.query;
+
+    const query = {};
+    if (area) query.area = area;
+
+    const tables = await Table.find(query).sort({ number: 1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: tables
+    });
+
+  } catch (error) {
+    console.error('Get tables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// POST /api/tables - Add a table to the floor plan (admin only)
+router.post('/', async (req, res) => {
+  try {
+    const table = await Table.create(pickTableFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Table created successfully',
+      data: table
+    });
+
+  } catch (error) {
+    console.error('Create table error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A table with this number already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// PUT /api/tables/:id - Update a table's capacity, area or combinations (admin only)
+router.put('/:id', async (req, res) => {
+  try {
+    const table = await Table.findById(req.params.id);
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    // Renumbering would orphan the table's existing bookings
+    const { number, ...fields } = pickTableFields(req.body);
+    if (number !== undefined && number !== table.number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Table numbers cannot be changed; deactivate this table and add a new one'
+      });
+    }
+
+    table.set(fields);
+    await table.save();
+
+    res.json({
+      success: true,
+      message: 'Table updated successfully',
+      data: table
+    });
+
+  } catch (error) {
+    console.error('Update table error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid table ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// DELETE /api/tables/:id - Take a table out of service; existing bookings keep it (admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const table = await Table.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Table deactivated successfully',
+      data: table
+    });
+
+  } catch (error) {
+    console.error('Deactivate table error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid table ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+export default router;